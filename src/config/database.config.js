@@ -1,6 +1,9 @@
 import { connect, set } from 'mongoose';
 import { UserModel } from '../models/user.model.js';
 import { FoodModel } from '../models/food.model.js';
+import { OrderModel } from '../models/order.model.js';
+import { CouponUsageModel } from '../models/couponUsage.model.js';
+import { COUPON_RELEASING_STATUSES } from '../services/coupon.service.js';
 import { sample_users } from '../data.js';
 import { sample_foods } from '../data.js';
 import bcrypt from 'bcryptjs';
@@ -14,6 +17,10 @@ export const dbconnect = async () => {
       useUnifiedTopology: true,
     });
     await seedUsers();
+    await migrateFeaturedFoods();
+    await migrateFoodVersions();
+    await migrateCouponUsages();
+    await buildOrderIndexes();
     await seedFoods();
     console.log('connect successfully---');
   } catch (error) {
@@ -36,6 +43,71 @@ async function seedUsers() {
   console.log('Users seed is done!');
 }
 
+// `favorite` used to be a global flag on foods, it is `featured` now.
+async function migrateFeaturedFoods() {
+  // Through the driver, mongoose would strip the unknown `favorite` path.
+  const { modifiedCount } = await FoodModel.collection.updateMany(
+    { favorite: { $exists: true } },
+    [{ $set: { featured: { $ifNull: ['$featured', '$favorite'] } } }, { $unset: 'favorite' }]
+  );
+
+  if (modifiedCount) console.log(`Moved favorite to featured on ${modifiedCount} foods`);
+}
+
+// Foods from before versioning start at version 1, edits check the version they replace.
+async function migrateFoodVersions() {
+  const { modifiedCount } = await FoodModel.updateMany(
+    { version: { $exists: false } },
+    { $set: { version: 1 } }
+  );
+
+  if (modifiedCount) console.log(`Set the initial version on ${modifiedCount} foods`);
+}
+
+// Per user coupon limits are counted on coupon usages, count the orders from before them.
+async function migrateCouponUsages() {
+  const usages = await OrderModel.aggregate([
+    { $match: { 'discount.coupon': { $exists: true }, status: { $nin: COUPON_RELEASING_STATUSES } } },
+    { $group: { _id: { coupon: '$discount.coupon', user: '$user' }, count: { $sum: 1 } } },
+  ]);
+  if (!usages.length) return;
+
+  // $max keeps counts that already include these orders.
+  const { upsertedCount } = await CouponUsageModel.bulkWrite(
+    usages.map(({ _id, count }) => ({
+      updateOne: { filter: _id, update: { $max: { count } }, upsert: true },
+    }))
+  );
+
+  if (upsertedCount) console.log(`Counted coupon usages of ${upsertedCount} users`);
+}
+
+// Orders from before the unique paymentId index may share a paymentId, which keeps the
+// index from being built. Report them so they can be resolved, the other indexes are built anyway.
+export async function buildOrderIndexes() {
+  const duplicates = await OrderModel.aggregate([
+    { $match: { paymentId: { $exists: true } } },
+    { $group: { _id: '$paymentId', orders: { $push: '$_id' } } },
+    { $match: { 'orders.1': { $exists: true } } },
+  ]);
+
+  for (const { _id, orders } of duplicates) {
+    console.error(`Orders ${orders.join(', ')} share paymentId ${_id}`);
+  }
+  if (duplicates.length) {
+    console.error(
+      `The unique paymentId index is not built until the ${duplicates.length} duplicate paymentIds are resolved`
+    );
+  }
+
+  try {
+    await OrderModel.createIndexes();
+  } catch (error) {
+    // Duplicates were reported above.
+    if (!duplicates.length) console.error('Building the order indexes failed', error);
+  }
+}
+
 async function seedFoods() {
   const foods = await FoodModel.countDocuments();
   if (foods > 0) {
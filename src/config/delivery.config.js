@@ -0,0 +1,69 @@
+const readNumber = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : Number(value);
+};
+
+// DELIVERY_ZONES is a JSON array, each zone is either
+// `{ "name": "center", "radiusKm": 3 }` (measured from the restaurant) or
+// `{ "name": "north", "polygon": [[lat, lng], ...] }`, and may override
+// `baseFee` and `feePerKm`. The first matching zone wins.
+const isCorner = corner =>
+  Array.isArray(corner) && corner.length === 2 && corner.every(Number.isFinite);
+
+const isOptionalAmount = value => value === undefined || (Number.isFinite(value) && value >= 0);
+
+// Problem with one zone of DELIVERY_ZONES, undefined when it is valid.
+const checkZone = zone => {
+  if (!zone || typeof zone !== 'object') return 'must be an object';
+  if (typeof zone.name !== 'string' || !zone.name) return 'needs a name';
+  if (zone.polygon !== undefined) {
+    if (!Array.isArray(zone.polygon) || zone.polygon.length < 3 || !zone.polygon.every(isCorner)) {
+      return 'polygon must list at least 3 [lat, lng] corners';
+    }
+  } else if (!(Number.isFinite(zone.radiusKm) && zone.radiusKm > 0)) {
+    return 'needs a positive radiusKm or a polygon';
+  }
+  if (!isOptionalAmount(zone.baseFee) || !isOptionalAmount(zone.feePerKm)) {
+    return 'baseFee and feePerKm must be numbers of at least 0';
+  }
+};
+
+const parseZones = raw => {
+  let zones;
+  try {
+    zones = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`DELIVERY_ZONES is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(zones)) throw new Error('DELIVERY_ZONES must be a JSON array');
+
+  zones.forEach((zone, index) => {
+    const problem = checkZone(zone);
+    if (problem) throw new Error(`DELIVERY_ZONES zone ${index + 1} ${problem}`);
+  });
+  return zones;
+};
+
+// Parsed once per value, the server reads the config at startup so bad zones fail there.
+let parsed = { raw: undefined, zones: null };
+
+const readZones = maxRadiusKm => {
+  const raw = process.env.DELIVERY_ZONES;
+  if (!raw) return [{ name: 'default', radiusKm: maxRadiusKm }];
+
+  if (parsed.raw !== raw) parsed = { raw, zones: parseZones(raw) };
+  return parsed.zones;
+};
+
+// Delivery checks are disabled until the restaurant location is set.
+export const configDelivery = () => {
+  const lat = readNumber('RESTAURANT_LAT', NaN);
+  const lng = readNumber('RESTAURANT_LNG', NaN);
+
+  return {
+    origin: Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null,
+    zones: readZones(readNumber('DELIVERY_MAX_RADIUS_KM', 10)),
+    baseFee: readNumber('DELIVERY_BASE_FEE', 2),
+    feePerKm: readNumber('DELIVERY_FEE_PER_KM', 0.5),
+  };
+};
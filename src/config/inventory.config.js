@@ -0,0 +1,7 @@
+// RESTAURANT_TIMEZONE is an IANA name such as Asia/Jakarta. Availability
+// windows and daily limits follow the restaurant's clock, not the server's.
+export const configInventory = () => ({
+  timezone: process.env.RESTAURANT_TIMEZONE || 'UTC',
+  // Foods with this many portions left or fewer show up in the low stock alerts.
+  lowStockThreshold: Number(process.env.LOW_STOCK_THRESHOLD) || 5,
+});
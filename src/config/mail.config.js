@@ -0,0 +1,26 @@
+// Mails are only kept in memory while developing and testing. Elsewhere they are
+// sent over SMTP once SMTP_HOST is set, and written to MAIL_FILE_DIR until then.
+const MEMORY_MAIL_ENVIRONMENTS = ['development', 'test'];
+
+const getDefaultTransport = () => {
+  if (MEMORY_MAIL_ENVIRONMENTS.includes(process.env.NODE_ENV)) return 'memory';
+  return process.env.SMTP_HOST ? 'smtp' : 'file';
+};
+
+export const configMail = () => ({
+  // smtp, file or memory
+  transport: process.env.MAIL_TRANSPORT || getDefaultTransport(),
+  // Whether the transport was picked by default rather than set through MAIL_TRANSPORT.
+  defaultTransport: !process.env.MAIL_TRANSPORT,
+  from: process.env.MAIL_FROM || 'Food Ordering <no-reply@localhost>',
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+  fileDir: process.env.MAIL_FILE_DIR || 'mails',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  },
+});
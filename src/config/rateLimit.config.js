@@ -0,0 +1,24 @@
+const MINUTE = 60 * 1000;
+
+const readLimit = (name, max, windowMs) => ({
+  max: Number(process.env[`RATE_LIMIT_${name}_MAX`]) || max,
+  windowMs: Number(process.env[`RATE_LIMIT_${name}_WINDOW_MS`]) || windowMs,
+});
+
+// Requests allowed per client IP and window, overridable per limiter through
+// RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_MS.
+export const configRateLimits = () => ({
+  login: readLimit('LOGIN', 20, 15 * MINUTE),
+  register: readLimit('REGISTER', 5, 60 * MINUTE),
+  passwordReset: readLimit('PASSWORD_RESET', 5, 60 * MINUTE),
+  orderCreate: readLimit('ORDER_CREATE', 10, MINUTE),
+  upload: readLimit('UPLOAD', 30, 15 * MINUTE),
+});
+
+// Failed logins before an account or IP is locked, and how the lock grows.
+export const configLoginGuard = () => ({
+  maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+  failureWindowMs: Number(process.env.LOGIN_FAILURE_WINDOW_MS) || 60 * MINUTE,
+  baseLockMs: Number(process.env.LOGIN_BASE_LOCK_MS) || MINUTE,
+  maxLockMs: Number(process.env.LOGIN_MAX_LOCK_MS) || 60 * MINUTE,
+});
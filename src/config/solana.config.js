@@ -0,0 +1,9 @@
+export const LAMPORTS_PER_SOL = 1_000_000_000;
+
+export const configSolana = () => ({
+  rpcUrl: process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com',
+  recipient: process.env.SOLANA_RECIPIENT_ADDRESS,
+  // How many SOL one unit of order currency is worth.
+  solPerUnit: Number(process.env.SOLANA_SOL_PER_UNIT),
+  label: process.env.SOLANA_PAYMENT_LABEL || 'Food Ordering',
+});
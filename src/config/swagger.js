@@ -24,6 +24,74 @@ const options = {
                 description: 'Development server'
             }
         ],
+        components: {
+            parameters: {
+                Page: {
+                    in: 'query',
+                    name: 'page',
+                    schema: { type: 'integer', minimum: 1, default: 1 },
+                    description: 'Page number, ignored when a cursor is sent',
+                },
+                Limit: {
+                    in: 'query',
+                    name: 'limit',
+                    schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+                    description: 'Items per page',
+                },
+                Cursor: {
+                    in: 'query',
+                    name: 'cursor',
+                    schema: { type: 'string' },
+                    description: 'Opaque cursor from a previous response (`nextCursor`)',
+                },
+            },
+            schemas: {
+                ListPage: {
+                    type: 'object',
+                    description: 'Envelope returned by every paginated list endpoint',
+                    properties: {
+                        data: { type: 'array', items: {} },
+                        total: { type: 'integer', description: 'Number of items matching the filters' },
+                        page: { type: 'integer', nullable: true },
+                        limit: { type: 'integer' },
+                        totalPages: { type: 'integer' },
+                        nextCursor: { type: 'string', nullable: true },
+                        links: {
+                            type: 'object',
+                            properties: {
+                                self: { type: 'string' },
+                                next: { type: 'string', nullable: true },
+                                prev: { type: 'string', nullable: true },
+                            },
+                        },
+                    },
+                },
+                Problem: {
+                    type: 'object',
+                    description: 'Error response, sent as application/problem+json',
+                    properties: {
+                        type: { type: 'string', example: 'about:blank' },
+                        title: { type: 'string' },
+                        status: { type: 'integer' },
+                        detail: { type: 'string' },
+                        code: { type: 'string', description: 'Stable machine readable error code' },
+                        requestId: { type: 'string', description: 'Also sent in the X-Request-Id header' },
+                        instance: { type: 'string' },
+                        errors: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    in: { type: 'string', enum: ['path', 'query', 'body'] },
+                                    param: { type: 'string', nullable: true },
+                                    message: { type: 'string' },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
     },
     apis: [join(__dirname, '../routers/*.js')] // Fix the path
 };
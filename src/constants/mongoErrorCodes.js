@@ -0,0 +1,4 @@
+// Error codes the MongoDB server reports on failed operations.
+export const DUPLICATE_KEY_ERROR = 11000;
+// Transactions only run on replica sets and sharded clusters.
+export const TRANSACTIONS_UNSUPPORTED = 20;
@@ -4,4 +4,18 @@ export const OrderStatus = {
   SHIPPED: 'SHIPPED',
   DELIVERED: 'DELIVERED',
   FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED',
 };
+
+// Allowed next states for every status. Terminal states map to an empty list.
+export const OrderStatusTransitions = {
+  [OrderStatus.PENDING]: [OrderStatus.PAID, OrderStatus.FAILED, OrderStatus.CANCELLED],
+  [OrderStatus.PAID]: [OrderStatus.SHIPPED, OrderStatus.CANCELLED],
+  [OrderStatus.SHIPPED]: [OrderStatus.DELIVERED, OrderStatus.FAILED],
+  [OrderStatus.DELIVERED]: [],
+  [OrderStatus.FAILED]: [],
+  [OrderStatus.CANCELLED]: [],
+};
+
+// Once an order has been paid, only staff allowed to manage orders may move it any further.
+export const MANAGE_ONLY_FROM_STATUSES = [OrderStatus.PAID, OrderStatus.SHIPPED];
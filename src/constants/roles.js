@@ -0,0 +1,31 @@
+export const Permissions = {
+  ORDERS_VIEW_ALL: 'orders:viewAll',
+  ORDERS_MANAGE: 'orders:manage',
+  FOODS_MANAGE: 'foods:manage',
+  UPLOAD_IMAGES: 'upload:images',
+  USERS_VIEW: 'users:view',
+  USERS_BLOCK: 'users:block',
+  USERS_MANAGE_ROLES: 'users:manageRoles',
+  COUPONS_MANAGE: 'coupons:manage',
+  ANALYTICS_VIEW: 'analytics:view',
+  REVIEWS_MODERATE: 'reviews:moderate',
+  INVENTORY_MANAGE: 'inventory:manage',
+};
+
+export const Roles = {
+  ADMIN: 'ADMIN',
+  KITCHEN: 'KITCHEN',
+  CATALOG_MANAGER: 'CATALOG_MANAGER',
+  SUPPORT: 'SUPPORT',
+  CUSTOMER: 'CUSTOMER',
+};
+
+export const RolePermissions = {
+  [Roles.ADMIN]: Object.values(Permissions),
+  // Kitchen staff see every order, move it along after payment and keep stock up to date.
+  [Roles.KITCHEN]: [Permissions.ORDERS_VIEW_ALL, Permissions.ORDERS_MANAGE, Permissions.INVENTORY_MANAGE],
+  [Roles.CATALOG_MANAGER]: [Permissions.FOODS_MANAGE, Permissions.UPLOAD_IMAGES, Permissions.INVENTORY_MANAGE],
+  // Support can look users and orders up and hide reviews, but not block anyone.
+  [Roles.SUPPORT]: [Permissions.USERS_VIEW, Permissions.ORDERS_VIEW_ALL, Permissions.REVIEWS_MODERATE],
+  [Roles.CUSTOMER]: [],
+};
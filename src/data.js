@@ -4,7 +4,7 @@ export const sample_foods = [
     name: 'Pizza Pepperoni',
     cookTime: '10-20',
     price: 10,
-    favorite: false,
+    featured: false,
     origins: ['italy'],
     stars: 4.5,
     imageUrl: 'food-1.jpg',
@@ -15,7 +15,7 @@ export const sample_foods = [
     name: 'Meatball',
     price: 20,
     cookTime: '20-30',
-    favorite: true,
+    featured: true,
     origins: ['persia', 'middle east', 'china'],
     stars: 5,
     imageUrl: 'food-2.jpg',
@@ -26,7 +26,7 @@ export const sample_foods = [
     name: 'Hamburger',
     price: 5,
     cookTime: '10-15',
-    favorite: false,
+    featured: false,
     origins: ['germany', 'us'],
     stars: 3.5,
     imageUrl: 'food-3.jpg',
@@ -37,7 +37,7 @@ export const sample_foods = [
     name: 'Fried Potatoes',
     price: 2,
     cookTime: '15-20',
-    favorite: true,
+    featured: true,
     origins: ['belgium', 'france'],
     stars: 3,
     imageUrl: 'food-4.jpg',
@@ -48,7 +48,7 @@ export const sample_foods = [
     name: 'Chicken Soup',
     price: 11,
     cookTime: '40-50',
-    favorite: false,
+    featured: false,
     origins: ['india', 'asia'],
     stars: 3.5,
     imageUrl: 'food-5.jpg',
@@ -59,7 +59,7 @@ export const sample_foods = [
     name: 'Vegetables Pizza',
     price: 9,
     cookTime: '40-50',
-    favorite: false,
+    featured: false,
     origins: ['italy'],
     stars: 4.0,
     imageUrl: 'food-6.jpg',
@@ -0,0 +1,74 @@
+import {
+  BAD_REQUEST,
+  CONFLICT,
+  FORBIDDEN,
+  NOT_FOUND,
+  SERVICE_UNAVAILABLE,
+  TOO_MANY_REQUESTS,
+  UNAUTHORIZED,
+} from '../constants/httpStatus.js';
+
+/**
+ * Base class for errors that map to an HTTP response. `code` is a stable
+ * machine readable identifier clients can branch on, `details` lists per
+ * field problems and `extra` is merged into the response body.
+ */
+export class HttpError extends Error {
+  constructor(status, message, { code, details, extra, headers } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.extra = extra;
+    this.headers = headers;
+  }
+}
+
+export class BadRequestError extends HttpError {
+  constructor(message = 'Bad request', options = {}) {
+    super(BAD_REQUEST, message, { code: 'BAD_REQUEST', ...options });
+  }
+}
+
+export class ValidationError extends HttpError {
+  constructor(message = 'Request validation failed', details = [], options = {}) {
+    super(BAD_REQUEST, message, { code: 'VALIDATION_FAILED', details, ...options });
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  constructor(message = 'Authentication required', options = {}) {
+    super(UNAUTHORIZED, message, { code: 'UNAUTHORIZED', ...options });
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(message = 'Not allowed', options = {}) {
+    super(FORBIDDEN, message, { code: 'FORBIDDEN', ...options });
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message = 'Not found', options = {}) {
+    super(NOT_FOUND, message, { code: 'NOT_FOUND', ...options });
+  }
+}
+
+export class ConflictError extends HttpError {
+  constructor(message = 'Conflict', options = {}) {
+    super(CONFLICT, message, { code: 'CONFLICT', ...options });
+  }
+}
+
+export class TooManyRequestsError extends HttpError {
+  constructor(message = 'Too many requests, please try again later', options = {}) {
+    super(TOO_MANY_REQUESTS, message, { code: 'TOO_MANY_REQUESTS', ...options });
+  }
+}
+
+export class ServiceUnavailableError extends HttpError {
+  constructor(message = 'Service unavailable', options = {}) {
+    super(SERVICE_UNAVAILABLE, message, { code: 'SERVICE_UNAVAILABLE', ...options });
+  }
+}
@@ -1,16 +1,48 @@
 import jwt from 'jsonwebtoken';
-import { UNAUTHORIZED } from '../constants/httpStatus.js';
+import { ForbiddenError, UnauthorizedError } from '../errors/http.error.js';
+import { getUserStatus, isUserBlocked } from '../services/userStatus.service.js';
 
-export default (req, res, next) => {
+// `iat` only has second precision, compare in whole seconds.
+const isIssuedBeforeRevocation = (decoded, status) =>
+  status.tokensValidAfter &&
+  decoded.iat < Math.floor(status.tokensValidAfter.getTime() / 1000);
+
+/**
+ * Checks that the user of a verified access token may still use it: the token
+ * has not expired or been revoked and the user is not blocked. Throws the
+ * UnauthorizedError or ForbiddenError to answer with otherwise.
+ */
+export const checkAccessToken = async decoded => {
+  if (decoded.exp && decoded.exp * 1000 <= Date.now()) {
+    throw new UnauthorizedError('Invalid or expired access token', { code: 'TOKEN_INVALID' });
+  }
+
+  const status = await getUserStatus(decoded.id);
+  if (!status || isIssuedBeforeRevocation(decoded, status)) {
+    throw new UnauthorizedError('Access token has been revoked', { code: 'TOKEN_REVOKED' });
+  }
+  if (isUserBlocked(status)) {
+    throw new ForbiddenError('Account is blocked', { code: 'ACCOUNT_BLOCKED' });
+  }
+};
+
+export default async (req, res, next) => {
   const token = req.headers.access_token;
-  if (!token) return res.status(UNAUTHORIZED).send();
+  if (!token) return next(new UnauthorizedError('Missing access token', { code: 'TOKEN_MISSING' }));
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(new UnauthorizedError('Invalid or expired access token', { code: 'TOKEN_INVALID' }));
+  }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    await checkAccessToken(decoded);
   } catch (error) {
-    res.status(UNAUTHORIZED).send();
+    return next(error);
   }
 
+  req.user = decoded;
   return next();
 };
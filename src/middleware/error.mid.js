@@ -0,0 +1,72 @@
+import { STATUS_CODES } from 'http';
+import { Error as MongooseError } from 'mongoose';
+import multer from 'multer';
+import {
+  BAD_REQUEST,
+  CONFLICT,
+  INTERNAL_SERVER_ERROR,
+} from '../constants/httpStatus.js';
+import { DUPLICATE_KEY_ERROR } from '../constants/mongoErrorCodes.js';
+import { HttpError } from '../errors/http.error.js';
+
+// Errors thrown by libraries that still deserve a 4xx.
+const normalize = error => {
+  if (error instanceof HttpError) return error;
+
+  if (error instanceof MongooseError.CastError) {
+    return new HttpError(BAD_REQUEST, `Invalid value for ${error.path}`, { code: 'INVALID_ID' });
+  }
+
+  if (error instanceof MongooseError.ValidationError) {
+    const details = Object.values(error.errors).map(item => ({
+      in: 'body',
+      param: item.path,
+      message: item.message,
+    }));
+    return new HttpError(BAD_REQUEST, 'Validation failed', { code: 'VALIDATION_FAILED', details });
+  }
+
+  // Uploads that are too large or sent under an unexpected field name.
+  if (error instanceof multer.MulterError) {
+    return new HttpError(BAD_REQUEST, error.message, { code: error.code });
+  }
+
+  if (error.code === DUPLICATE_KEY_ERROR) {
+    return new HttpError(CONFLICT, 'Resource already exists', { code: 'DUPLICATE' });
+  }
+
+  // body-parser errors (malformed JSON, payload too large...) carry a status.
+  if (error.type && error.status >= 400 && error.status < 500) {
+    return new HttpError(error.status, error.message, { code: error.type.toUpperCase().replace(/\W/g, '_') });
+  }
+
+  return null;
+};
+
+/**
+ * Central error handler, answers every error as application/problem+json:
+ * `{ type, title, status, detail, code, requestId, instance, errors? }`.
+ */
+export default (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  const httpError = normalize(error);
+
+  if (!httpError) console.error(`[${req.id}] Unhandled error:`, error);
+
+  const status = httpError?.status ?? INTERNAL_SERVER_ERROR;
+  const body = {
+    type: 'about:blank',
+    title: STATUS_CODES[status],
+    status,
+    detail: httpError?.message ?? 'An internal server error occurred',
+    code: httpError?.code ?? 'INTERNAL_ERROR',
+    requestId: req.id,
+    instance: req.originalUrl,
+    ...(httpError?.details?.length ? { errors: httpError.details } : {}),
+    ...httpError?.extra,
+  };
+
+  res.set(httpError?.headers ?? {});
+  res.status(status).type('application/problem+json').send(JSON.stringify(body));
+};
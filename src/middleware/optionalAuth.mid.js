@@ -0,0 +1,13 @@
+import auth from './auth.mid.js';
+import { ForbiddenError, UnauthorizedError } from '../errors/http.error.js';
+
+// Authenticates requests that send a valid access token, the others go through
+// anonymously, including those with an expired, revoked or blocked user's token.
+export default (req, res, next) => {
+  if (!req.headers.access_token) return next();
+
+  return auth(req, res, error => {
+    if (error instanceof UnauthorizedError || error instanceof ForbiddenError) return next();
+    return next(error);
+  });
+};
@@ -0,0 +1,18 @@
+import { ForbiddenError } from '../errors/http.error.js';
+import { hasPermission } from '../services/role.service.js';
+import authMid from './auth.mid.js';
+
+export const requirePermission = (...permissions) => [
+  authMid,
+  (req, res, next) => {
+    if (!hasPermission(req.user, ...permissions)) {
+      return next(new ForbiddenError(`Missing permission ${permissions.join(', ')}`, {
+        code: 'MISSING_PERMISSION',
+      }));
+    }
+
+    return next();
+  },
+];
+
+export default requirePermission;
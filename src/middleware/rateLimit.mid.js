@@ -0,0 +1,33 @@
+import { TooManyRequestsError } from '../errors/http.error.js';
+import { configRateLimits } from '../config/rateLimit.config.js';
+import { getRateLimitStore } from '../services/rateLimitStore.service.js';
+
+/**
+ * Fixed window limiter configured by name in `config/rateLimit.config.js`.
+ * Counts per authenticated user when auth ran before it, per IP otherwise.
+ */
+export default name => async (req, res, next) => {
+  try {
+    const { max, windowMs } = configRateLimits()[name];
+    const client = req.user?.id ?? req.ip;
+    const { count, resetAt } = await getRateLimitStore().increment(
+      `rate:${name}:${client}`,
+      windowMs
+    );
+    const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (count > max) {
+      return next(new TooManyRequestsError(undefined, {
+        headers: { 'Retry-After': String(resetSeconds) },
+      }));
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  return next();
+};
@@ -0,0 +1,12 @@
+import crypto from 'crypto';
+
+const HEADER = 'X-Request-Id';
+const VALID_ID = /^[\w.-]{1,128}$/;
+
+// Reuses the id set by a proxy in front of us, otherwise creates one.
+export default (req, res, next) => {
+  const incoming = req.get(HEADER);
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(HEADER, req.id);
+  next();
+};
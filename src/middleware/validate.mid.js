@@ -0,0 +1,145 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { ValidationError } from '../errors/http.error.js';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const SPEC_ID = 'openapi';
+
+// Points `#/components/...` refs at the spec registered under SPEC_ID.
+const rewriteRefs = value => {
+  if (Array.isArray(value)) return value.map(rewriteRefs);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      key === '$ref' && typeof item === 'string' && item.startsWith('#/')
+        ? `${SPEC_ID}${item}`
+        : rewriteRefs(item),
+    ])
+  );
+};
+
+const resolveParameter = (spec, parameter) => {
+  if (!parameter.$ref) return parameter;
+  const name = parameter.$ref.replace('#/components/parameters/', '');
+  return spec.components?.parameters?.[name];
+};
+
+// `/api/foods/{foodId}` -> regex with one capture per path parameter.
+// Parameters documented as not required may be left out of the url.
+const compilePath = (path, parameters) => {
+  const names = [];
+  const source = path.replace(/\/\{([^}]+)\}/g, (_, name) => {
+    names.push(name);
+    const optional = parameters.some(p => p.in === 'path' && p.name === name && p.required === false);
+    return optional ? '(?:/([^/]+))?' : '/([^/]+)';
+  });
+
+  return {
+    regex: new RegExp(`^${source}/?$`),
+    names,
+    // Literal segments win over parameters, e.g. /orders/expiry over /orders/{status}.
+    literals: path.split('/').filter(segment => segment && !segment.startsWith('{')).length,
+  };
+};
+
+const toObjectSchema = (parameters, location) => {
+  const properties = {};
+  const required = [];
+
+  for (const parameter of parameters.filter(p => p.in === location)) {
+    properties[parameter.name] = parameter.schema ?? {};
+    if (parameter.required) required.push(parameter.name);
+  }
+
+  return { type: 'object', properties, required };
+};
+
+const formatErrors = (location, errors) =>
+  errors.map(error => {
+    const path = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+    const param = error.keyword === 'required'
+      ? [path, error.params.missingProperty].filter(Boolean).join('.')
+      : path;
+
+    return { in: location, param: param || null, message: error.message };
+  });
+
+/**
+ * Validates path parameters, query strings and JSON bodies against the
+ * OpenAPI document built by `config/swagger.js` before any router runs.
+ * Operations marked `x-validate: false` are skipped. The request itself is
+ * not modified, coercion only happens on copies.
+ */
+export const createRequestValidator = spec => {
+  const bodyAjv = new Ajv({ allErrors: true, strict: false });
+  const paramAjv = new Ajv({ allErrors: true, strict: false, coerceTypes: 'array' });
+
+  for (const ajv of [bodyAjv, paramAjv]) {
+    addFormats(ajv);
+    ajv.addSchema({ components: spec.components ?? {} }, SPEC_ID);
+  }
+
+  const operations = [];
+  for (const [path, item] of Object.entries(spec.paths ?? {})) {
+    for (const method of METHODS) {
+      const operation = item[method];
+      if (!operation || operation['x-validate'] === false) continue;
+
+      const parameters = [...(item.parameters ?? []), ...(operation.parameters ?? [])]
+        .map(parameter => resolveParameter(spec, parameter))
+        .filter(Boolean);
+      const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+
+      operations.push({
+        method: method.toUpperCase(),
+        ...compilePath(path, parameters),
+        params: paramAjv.compile(rewriteRefs(toObjectSchema(parameters, 'path'))),
+        query: paramAjv.compile(rewriteRefs(toObjectSchema(parameters, 'query'))),
+        body: bodySchema && bodyAjv.compile(rewriteRefs(bodySchema)),
+        bodyRequired: Boolean(operation.requestBody?.required),
+      });
+    }
+  }
+
+  operations.sort((a, b) => b.literals - a.literals);
+
+  return (req, res, next) => {
+    const url = req.path;
+    const operation = operations.find(op => op.method === req.method && op.regex.test(url));
+    if (!operation) return next();
+
+    const match = url.match(operation.regex);
+    const params = {};
+    const errors = [];
+
+    operation.names.forEach((name, index) => {
+      if (match[index + 1] === undefined) return;
+      try {
+        params[name] = decodeURIComponent(match[index + 1]);
+      } catch {
+        errors.push({ in: 'path', param: name, message: 'must be a valid URI component' });
+      }
+    });
+
+    if (!errors.length && !operation.params(params)) errors.push(...formatErrors('path', operation.params.errors));
+
+    const query = structuredClone({ ...req.query });
+    if (!operation.query(query)) errors.push(...formatErrors('query', operation.query.errors));
+
+    if (operation.body) {
+      const hasBody = req.body && Object.keys(req.body).length > 0;
+      if (hasBody || operation.bodyRequired) {
+        const body = hasBody ? req.body : {};
+        if (!operation.body(body)) errors.push(...formatErrors('body', operation.body.errors));
+      }
+    }
+
+    if (errors.length) return next(new ValidationError('Request validation failed', errors));
+
+    return next();
+  };
+};
+
+export default createRequestValidator;
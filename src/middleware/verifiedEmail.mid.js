@@ -0,0 +1,18 @@
+import { ForbiddenError } from '../errors/http.error.js';
+import { UserModel } from '../models/user.model.js';
+
+// Must run after auth.mid.
+export default async (req, res, next) => {
+  try {
+    const user = await UserModel.findById(req.user.id, { emailVerified: 1 });
+    if (user?.emailVerified === false) {
+      return next(new ForbiddenError('Please verify your email address before ordering', {
+        code: 'EMAIL_NOT_VERIFIED',
+      }));
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  return next();
+};
@@ -0,0 +1,40 @@
+import { model, Schema } from 'mongoose';
+
+const GUEST_CART_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+export const CartItemSchema = new Schema(
+  {
+    food: { type: Schema.Types.ObjectId, ref: 'food', required: true },
+    // Chosen options of the food, lines of the same food with other options are separate.
+    options: { type: [Schema.Types.ObjectId], default: undefined },
+    quantity: { type: Number, required: true, min: 1 },
+    // Catalog price, options included, when the cart was last read, used to report price changes.
+    price: { type: Number, required: true },
+  },
+  {
+    _id: false,
+  }
+);
+
+export const CartSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId },
+    // Anonymous carts are found by a random id the client keeps.
+    guestId: { type: String },
+    items: { type: [CartItemSchema], default: [] },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+CartSchema.index({ guestId: 1 }, { unique: true, partialFilterExpression: { guestId: { $exists: true } } });
+
+// Anonymous carts nobody touched for a month are dropped.
+CartSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: GUEST_CART_TTL_SECONDS, partialFilterExpression: { guestId: { $exists: true } } }
+);
+
+export const CartModel = model('cart', CartSchema);
@@ -0,0 +1,47 @@
+import { model, Schema } from 'mongoose';
+
+export const CouponType = {
+  PERCENTAGE: 'PERCENTAGE',
+  FIXED_AMOUNT: 'FIXED_AMOUNT',
+  FREE_DELIVERY: 'FREE_DELIVERY',
+  BUY_X_GET_Y: 'BUY_X_GET_Y',
+};
+
+export const CouponSchema = new Schema(
+  {
+    // Stored upper case, codes are matched case-insensitively.
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String },
+    type: { type: String, enum: Object.values(CouponType), required: true },
+    // Percent for PERCENTAGE, amount for FIXED_AMOUNT, unused otherwise.
+    value: { type: Number, min: 0 },
+    // Upper bound of a PERCENTAGE discount.
+    maxDiscount: { type: Number, min: 0 },
+    // BUY_X_GET_Y: for every `buyQuantity` units with one of `tags`,
+    // the cheapest `getQuantity` units on top are free.
+    buyQuantity: { type: Number, min: 1 },
+    getQuantity: { type: Number, min: 1 },
+    tags: { type: [String], default: undefined },
+    minOrderTotal: { type: Number, min: 0, default: 0 },
+    startsAt: { type: Date },
+    endsAt: { type: Date },
+    // Unlimited when unset.
+    maxUses: { type: Number, min: 1 },
+    maxUsesPerUser: { type: Number, min: 1 },
+    // Orders currently holding the coupon, released when they fail or are cancelled.
+    usedCount: { type: Number, default: 0 },
+    active: { type: Boolean, default: true },
+    createdBy: { type: Schema.Types.ObjectId },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+export const CouponModel = model('coupon', CouponSchema);
@@ -0,0 +1,18 @@
+import { model, Schema } from 'mongoose';
+
+// Orders of one user currently holding a coupon, used to enforce `maxUsesPerUser`.
+export const CouponUsageSchema = new Schema(
+  {
+    coupon: { type: Schema.Types.ObjectId, required: true },
+    user: { type: Schema.Types.ObjectId, required: true },
+    // Released like the coupon's `usedCount` when an order fails or is cancelled.
+    count: { type: Number, default: 0, min: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CouponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+export const CouponUsageModel = model('couponUsage', CouponUsageSchema);
@@ -1,15 +1,68 @@
 import { model, Schema } from 'mongoose';
 
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Local time range the food can be ordered in, `to` before `from` runs past midnight.
+export const AvailabilityWindowSchema = new Schema(
+  {
+    // 0 is Sunday, every day when empty.
+    days: { type: [{ type: Number, min: 0, max: 6 }], default: undefined },
+    from: { type: String, required: true, match: TIME_OF_DAY },
+    to: { type: String, required: true, match: TIME_OF_DAY },
+  },
+  {
+    _id: false,
+  }
+);
+
+export const FoodOptionSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  // Added to the food's price for each portion.
+  priceDelta: { type: Number, min: 0, default: 0 },
+});
+
+// Choices such as size, crust or extra toppings, order lines pick between
+// `minSelect` and `maxSelect` of the options.
+export const OptionGroupSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  minSelect: { type: Number, min: 0, default: 0 },
+  maxSelect: { type: Number, min: 1, default: 1 },
+  options: { type: [FoodOptionSchema], required: true },
+});
+
 export const FoodSchema = new Schema(
   {
     name: { type: String, required: true },
+    // Identifier from the restaurant's own systems, used to match rows of catalog imports.
+    sku: { type: String, trim: true },
     price: { type: Number, required: true },
     tags: { type: [String] },
-    favorite: { type: Boolean, default: false },
+    // Highlighted by staff. Stored as `favorite` before favorites became per user.
+    featured: { type: Boolean, default: false },
+    // Average rating of the visible reviews, kept up to date by the review service.
     stars: { type: Number, default: 3 },
+    ratingCount: { type: Number, default: 0 },
     imageUrl: { type: String, required: true },
     origins: { type: [String], required: true },
     cookTime: { type: String, required: true },
+    optionGroups: { type: [OptionGroupSchema], default: undefined },
+    // Switched off by staff when the kitchen cannot make it.
+    available: { type: Boolean, default: true },
+    // Always available when empty.
+    availability: { type: [AvailabilityWindowSchema], default: undefined },
+    // Portions left, unlimited when unset.
+    stock: { type: Number, min: 0 },
+    // Portions that can be sold per day, unlimited when unset.
+    dailyLimit: { type: Number, min: 1 },
+    // Portions sold on `dailySoldOn` (a YYYY-MM-DD day of the restaurant).
+    dailySold: { type: Number, default: 0 },
+    dailySoldOn: { type: String },
+    // Set when staff delete the food. Archived foods are hidden from customers
+    // and cannot be ordered, but stay in the database for orders and history.
+    archivedAt: { type: Date, default: null },
+    archivedBy: { type: Schema.Types.ObjectId },
+    // Increased on every change recorded in the food's versions.
+    version: { type: Number, default: 1 },
   },
   {
     toJSON: {
@@ -22,4 +75,15 @@ export const FoodSchema = new Schema(
   }
 );
 
+FoodSchema.index(
+  { name: 'text', tags: 'text', origins: 'text' },
+  { name: 'food_text_search', weights: { name: 10, tags: 5, origins: 2 } }
+);
+
+FoodSchema.index({ archivedAt: 1 });
+FoodSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+
+// Filter matching the foods customers can see, missing `archivedAt` counts as not archived.
+export const NOT_ARCHIVED = Object.freeze({ archivedAt: null });
+
 export const FoodModel = model('food', FoodSchema);
@@ -0,0 +1,50 @@
+import { model, Schema } from 'mongoose';
+
+export const FoodVersionAction = {
+  CREATED: 'CREATED',
+  UPDATED: 'UPDATED',
+  ARCHIVED: 'ARCHIVED',
+  UNARCHIVED: 'UNARCHIVED',
+  // Fields set back to those of an earlier version.
+  REVERTED: 'REVERTED',
+};
+
+export const FoodFieldChangeSchema = new Schema(
+  {
+    field: { type: String, required: true },
+    from: { type: Schema.Types.Mixed },
+    to: { type: Schema.Types.Mixed },
+  },
+  {
+    _id: false,
+  }
+);
+
+export const FoodVersionSchema = new Schema(
+  {
+    food: { type: Schema.Types.ObjectId, ref: 'food', required: true },
+    version: { type: Number, required: true },
+    action: { type: String, enum: Object.values(FoodVersionAction), required: true },
+    // Fields that differ from the food before this version.
+    changes: { type: [FoodFieldChangeSchema], default: [] },
+    // Versioned fields of the food after this version, used to revert to it.
+    snapshot: { type: Schema.Types.Mixed, required: true },
+    // Only set on REVERTED versions.
+    revertedTo: { type: Number },
+    // Staff member who made the change, null for changes made by the system.
+    by: { type: Schema.Types.ObjectId, default: null },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      virtuals: true,
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+FoodVersionSchema.index({ food: 1, version: -1 }, { unique: true });
+
+export const FoodVersionModel = model('foodVersion', FoodVersionSchema);
@@ -1,6 +1,6 @@
 import { model, Schema } from 'mongoose';
 import { OrderStatus } from '../constants/orderStatus.js';
-import { FoodModel } from './food.model.js';
+import { FoodSchema } from './food.model.js';
 
 export const LatLngSchema = new Schema(
   {
@@ -12,9 +12,28 @@ export const LatLngSchema = new Schema(
   }
 );
 
+// Option chosen for an order line, copied so later menu changes keep the order intact.
+export const SelectedOptionSchema = new Schema(
+  {
+    group: { type: Schema.Types.ObjectId, required: true },
+    groupName: { type: String, required: true },
+    option: { type: Schema.Types.ObjectId, required: true },
+    name: { type: String, required: true },
+    priceDelta: { type: Number, default: 0 },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Food as it was ordered. Same fields as foods but without their indexes, which
+// would otherwise be built on orders too (and a unique sku breaks every second order).
+export const OrderedFoodSchema = FoodSchema.clone().clearIndexes();
+
 export const OrderItemSchema = new Schema(
   {
-    food: { type: FoodModel.schema, required: true },
+    food: { type: OrderedFoodSchema, required: true },
+    options: { type: [SelectedOptionSchema], default: undefined },
     price: { type: Number, required: true },
     quantity: { type: Number, required: true },
   },
@@ -24,27 +43,118 @@ export const OrderItemSchema = new Schema(
 );
 
 OrderItemSchema.pre('validate', function (next) {
-  this.price = this.food.price * this.quantity;
+  const optionsPrice = (this.options ?? []).reduce((sum, option) => sum + option.priceDelta, 0);
+  this.price = Math.round((this.food.price + optionsPrice) * this.quantity * 100) / 100;
   next();
 });
 
+export const PaymentRequestSchema = new Schema(
+  {
+    recipient: { type: String, required: true },
+    amount: { type: String, required: true },
+    lamports: { type: Number, required: true },
+    reference: { type: String, required: true },
+    url: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  {
+    _id: false,
+  }
+);
+
+export const CourierLocationSchema = new Schema(
+  {
+    lat: { type: Number, required: true },
+    lng: { type: Number, required: true },
+    at: { type: Date, default: Date.now },
+  },
+  {
+    _id: false,
+  }
+);
+
+export const DeliverySchema = new Schema(
+  {
+    // Unset while delivery zones are not configured.
+    zone: { type: String },
+    distanceKm: { type: Number },
+    fee: { type: Number, required: true },
+  },
+  {
+    _id: false,
+  }
+);
+
+export const DiscountSchema = new Schema(
+  {
+    coupon: { type: Schema.Types.ObjectId, required: true },
+    code: { type: String, required: true },
+    type: { type: String, required: true },
+    description: { type: String },
+    // Taken off the items subtotal.
+    amount: { type: Number, required: true },
+    // Taken off the delivery fee.
+    deliveryAmount: { type: Number, default: 0 },
+  },
+  {
+    _id: false,
+  }
+);
+
+export const StatusChangeSchema = new Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    by: { type: Schema.Types.ObjectId, default: null },
+    reason: { type: String },
+    at: { type: Date, default: Date.now },
+  },
+  {
+    _id: false,
+  }
+);
+
+export const StatusDataSchema = new Schema(
+  {
+    history: { type: [StatusChangeSchema], default: [] },
+  },
+  {
+    _id: false,
+  }
+);
+
 const orderSchema = new Schema(
   {
       name: { type: String, required: true },
       address: { type: String, required: true },
       addressLatLng: { type: LatLngSchema, required: true },
-      paymentId: { type: String },
+      // Unique so that one transaction can never settle two orders.
+      paymentId: { type: String, unique: true, sparse: true },
+      paymentRequest: { type: PaymentRequestSchema },
+      // Items before discounts, totalPrice is what is actually paid.
+      subtotal: { type: Number },
+      delivery: { type: DeliverySchema },
+      courierLocation: { type: CourierLocationSchema },
+      discount: { type: DiscountSchema },
+      // Restaurant day the items were taken from stock, unset on orders from before stock tracking.
+      stockReservedOn: { type: String },
       totalPrice: { type: Number, required: true },
       items: { type: [OrderItemSchema], required: true },
-      status: { type: String, default: OrderStatus.PENDING},
+      status: {
+          type: String,
+          enum: Object.values(OrderStatus),
+          default: OrderStatus.PENDING,
+      },
       user: { type: Schema.Types.ObjectId, required: true },
       statusData: {
-          type: Object,
-          default: {} 
+          type: StatusDataSchema,
+          default: () => ({}),
       },
   },
   {
     timestamps: true,
+    // Built by dbconnect once duplicate paymentIds have been reported, see buildOrderIndexes.
+    autoIndex: false,
     toJSON: {
       virtuals: true,
     },
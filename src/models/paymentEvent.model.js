@@ -0,0 +1,39 @@
+import { model, Schema } from 'mongoose';
+
+export const PaymentEventOutcome = {
+  PROCESSING: 'PROCESSING',
+  PROCESSED: 'PROCESSED',
+  REJECTED: 'REJECTED',
+};
+
+export const PaymentEventSchema = new Schema(
+  {
+    // Only set once the signature is verified, so forged deliveries can never
+    // block the real event with the same id.
+    eventId: { type: String, unique: true, sparse: true },
+    claimedEventId: { type: String },
+    type: { type: String },
+    orderId: { type: String },
+    signatureValid: { type: Boolean, required: true },
+    outcome: {
+      type: String,
+      enum: Object.values(PaymentEventOutcome),
+      required: true,
+    },
+    responseStatus: { type: Number },
+    reason: { type: String },
+    payload: { type: Object },
+    ip: { type: String },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+export const PaymentEventModel = model('paymentEvent', PaymentEventSchema);
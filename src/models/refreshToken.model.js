@@ -0,0 +1,22 @@
+import { model, Schema } from 'mongoose';
+
+export const RefreshTokenSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, required: true, index: true },
+    // Only the sha256 of the token is stored, the token itself is sent once.
+    tokenHash: { type: String, required: true, unique: true },
+    // Every token created by rotating the same login shares a family.
+    family: { type: String, required: true, index: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    replacedBy: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let mongo drop tokens a while after they expired.
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export const RefreshTokenModel = model('refreshToken', RefreshTokenSchema);
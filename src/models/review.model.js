@@ -0,0 +1,45 @@
+import { model, Schema } from 'mongoose';
+
+export const MAX_REVIEW_COMMENT_LENGTH = 2000;
+
+export const ModerationSchema = new Schema(
+  {
+    by: { type: Schema.Types.ObjectId },
+    reason: { type: String },
+    at: { type: Date, default: Date.now },
+  },
+  {
+    _id: false,
+  }
+);
+
+export const ReviewSchema = new Schema(
+  {
+    food: { type: Schema.Types.ObjectId, ref: 'food', required: true },
+    user: { type: Schema.Types.ObjectId, required: true },
+    // Shown next to the review, copied so listing does not need the users.
+    userName: { type: String },
+    // DELIVERED order proving the user received the food.
+    order: { type: Schema.Types.ObjectId, required: true },
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    comment: { type: String, trim: true, maxlength: MAX_REVIEW_COMMENT_LENGTH },
+    // Hidden reviews are left out of listings and of the food rating.
+    hidden: { type: Boolean, default: false },
+    moderation: { type: ModerationSchema },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// One review per user and food, reviewing again updates it.
+ReviewSchema.index({ food: 1, user: 1 }, { unique: true });
+ReviewSchema.index({ food: 1, hidden: 1, createdAt: -1 });
+
+export const ReviewModel = model('review', ReviewSchema);
@@ -1,4 +1,5 @@
 import { model, Schema } from 'mongoose';
+import { Roles } from '../constants/roles.js';
 
 export const UserSchema = new Schema(
   {
@@ -6,8 +7,24 @@ export const UserSchema = new Schema(
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
     address: { type: String, required: true },
+    favorites: { type: [{ type: Schema.Types.ObjectId, ref: 'food' }], default: [] },
+    // Unset on accounts created before verification existed, they can order.
+    emailVerified: { type: Boolean },
+    emailVerifiedAt: { type: Date },
+    // Kept in sync with the ADMIN role for older clients.
     isAdmin: { type: Boolean, default: false },
+    roles: {
+      type: [{ type: String, enum: Object.values(Roles) }],
+      default: undefined,
+    },
     isBlocked: { type: Boolean, default: false },
+    blockReason: { type: String },
+    // Blocks without an expiry stay until an admin lifts them.
+    blockedUntil: { type: Date },
+    blockedAt: { type: Date },
+    blockedBy: { type: Schema.Types.ObjectId },
+    // Access tokens issued before this moment are rejected (password change, block).
+    tokensValidAfter: { type: Date },
   },
   {
     timestamps: true,
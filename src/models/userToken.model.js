@@ -0,0 +1,24 @@
+import { model, Schema } from 'mongoose';
+
+export const UserTokenType = {
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  EMAIL_VERIFICATION: 'EMAIL_VERIFICATION',
+};
+
+export const UserTokenSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, required: true, index: true },
+    type: { type: String, enum: Object.values(UserTokenType), required: true },
+    // sha256 of the token that was mailed to the user.
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export const UserTokenModel = model('userToken', UserTokenSchema);
@@ -0,0 +1,394 @@
+import { Router } from 'express';
+import handler from 'express-async-handler';
+import requirePermission from '../middleware/permission.mid.js';
+import { Permissions } from '../constants/roles.js';
+import { toCsv } from '../services/csv.service.js';
+import {
+    getCustomerStats,
+    getRevenueByPeriod,
+    getSalesSummary,
+    getTopFoods,
+    getTopTags,
+    parseAnalyticsQuery,
+} from '../services/analytics.service.js';
+
+const router = Router();
+router.use(requirePermission(Permissions.ANALYTICS_VIEW));
+
+// Sends `report` as JSON, or as a CSV download with `format=csv`.
+const sendReport = (req, res, name, report, columns) => {
+    if (req.query.format !== 'csv') return res.send(report);
+
+    const rows = Array.isArray(report) ? report : [report];
+    res.attachment(`${name}.csv`).send(toCsv(rows, columns));
+};
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AnalyticsFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         $ref: '#/components/schemas/AnalyticsDate'
+ *       description: Only orders created at or after this date (a date starts the day)
+ *     AnalyticsTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         $ref: '#/components/schemas/AnalyticsDate'
+ *       description: Only orders created at or before this date (a date includes the whole day)
+ *     AnalyticsFormat:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [json, csv]
+ *         default: json
+ *       description: csv sends the report as a file download
+ *     AnalyticsLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 10
+ *
+ *   schemas:
+ *     AnalyticsDate:
+ *       description: |
+ *         Date and time, or a date such as 2024-01-31 which stands for the whole day,
+ *         in `timezone` where the report accepts one and UTC otherwise
+ *       oneOf:
+ *         - type: string
+ *           format: date
+ *         - type: string
+ *           format: date-time
+ *
+ *     SalesSummary:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         to:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         orders:
+ *           type: integer
+ *           description: Orders created in the range, whatever their status
+ *         paidOrders:
+ *           type: integer
+ *           description: Orders that are PAID, SHIPPED or DELIVERED
+ *         failedOrders:
+ *           type: integer
+ *         cancelledOrders:
+ *           type: integer
+ *         pendingOrders:
+ *           type: integer
+ *         revenue:
+ *           type: number
+ *           description: Total price of the paid orders
+ *         averageOrderValue:
+ *           type: number
+ *           nullable: true
+ *         conversionRate:
+ *           type: number
+ *           nullable: true
+ *           description: paidOrders / (paidOrders + failedOrders), null without either
+ *
+ *     RevenuePeriod:
+ *       type: object
+ *       properties:
+ *         period:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the day, week (Monday) or month
+ *         orders:
+ *           type: integer
+ *         revenue:
+ *           type: number
+ *         averageOrderValue:
+ *           type: number
+ *
+ *     TopFood:
+ *       type: object
+ *       properties:
+ *         foodId:
+ *           type: string
+ *         name:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *         revenue:
+ *           type: number
+ *           description: Item prices before discounts
+ *         orders:
+ *           type: integer
+ *
+ *     TopTag:
+ *       type: object
+ *       properties:
+ *         tag:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *         revenue:
+ *           type: number
+ *         orders:
+ *           type: integer
+ *
+ *     CustomerStats:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         to:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         customers:
+ *           type: integer
+ *           description: Users with a paid order in the range
+ *         newCustomers:
+ *           type: integer
+ *         returningCustomers:
+ *           type: integer
+ *           description: Customers who already had a paid order before from
+ *         newCustomerOrders:
+ *           type: integer
+ *         returningCustomerOrders:
+ *           type: integer
+ *         newCustomerRevenue:
+ *           type: number
+ *         returningCustomerRevenue:
+ *           type: number
+ *         returningRate:
+ *           type: number
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/admin/analytics/summary:
+ *   get:
+ *     summary: Order counts, revenue, average order value and conversion rate (requires analytics:view)
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - $ref: '#/components/parameters/AnalyticsFormat'
+ *     responses:
+ *       200:
+ *         description: Sales summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SalesSummary'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.get(
+    '/summary',
+    handler(async (req, res) => {
+        const summary = await getSalesSummary(parseAnalyticsQuery(req.query));
+        sendReport(req, res, 'summary', summary, [
+            'from',
+            'to',
+            'orders',
+            'paidOrders',
+            'failedOrders',
+            'cancelledOrders',
+            'pendingOrders',
+            'revenue',
+            'averageOrderValue',
+            'conversionRate',
+        ]);
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/analytics/revenue:
+ *   get:
+ *     summary: Paid orders and revenue per day, week or month (requires analytics:view)
+ *     description: Periods without paid orders are left out.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *         description: IANA time zone the periods start in, e.g. Asia/Jakarta
+ *       - $ref: '#/components/parameters/AnalyticsFormat'
+ *     responses:
+ *       200:
+ *         description: Revenue per period, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RevenuePeriod'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get(
+    '/revenue',
+    handler(async (req, res) => {
+        const periods = await getRevenueByPeriod(parseAnalyticsQuery(req.query));
+        sendReport(req, res, 'revenue', periods, ['period', 'orders', 'revenue', 'averageOrderValue']);
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/analytics/top-foods:
+ *   get:
+ *     summary: Best selling foods (requires analytics:view)
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - $ref: '#/components/parameters/AnalyticsLimit'
+ *       - $ref: '#/components/parameters/AnalyticsFormat'
+ *     responses:
+ *       200:
+ *         description: Foods by quantity sold in paid orders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TopFood'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get(
+    '/top-foods',
+    handler(async (req, res) => {
+        const foods = await getTopFoods(parseAnalyticsQuery(req.query));
+        sendReport(req, res, 'top-foods', foods, ['foodId', 'name', 'quantity', 'revenue', 'orders']);
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/analytics/top-tags:
+ *   get:
+ *     summary: Best selling food tags (requires analytics:view)
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - $ref: '#/components/parameters/AnalyticsLimit'
+ *       - $ref: '#/components/parameters/AnalyticsFormat'
+ *     responses:
+ *       200:
+ *         description: Tags by quantity sold in paid orders, a food counts for each of its tags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TopTag'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get(
+    '/top-tags',
+    handler(async (req, res) => {
+        const tags = await getTopTags(parseAnalyticsQuery(req.query));
+        sendReport(req, res, 'top-tags', tags, ['tag', 'quantity', 'revenue', 'orders']);
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/analytics/customers:
+ *   get:
+ *     summary: New and returning customers (requires analytics:view)
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/AnalyticsDate'
+ *         description: Start of the range, customers with a paid order before it are returning
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - $ref: '#/components/parameters/AnalyticsFormat'
+ *     responses:
+ *       200:
+ *         description: Customer statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CustomerStats'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get(
+    '/customers',
+    handler(async (req, res) => {
+        const stats = await getCustomerStats(parseAnalyticsQuery(req.query));
+        sendReport(req, res, 'customers', stats, [
+            'from',
+            'to',
+            'customers',
+            'newCustomers',
+            'returningCustomers',
+            'newCustomerOrders',
+            'returningCustomerOrders',
+            'newCustomerRevenue',
+            'returningCustomerRevenue',
+            'returningRate',
+        ]);
+    })
+);
+
+export default router;
@@ -0,0 +1,364 @@
+import { Router } from 'express';
+import handler from 'express-async-handler';
+import auth from '../middleware/auth.mid.js';
+import optionalAuth from '../middleware/optionalAuth.mid.js';
+import verifiedEmail from '../middleware/verifiedEmail.mid.js';
+import rateLimit from '../middleware/rateLimit.mid.js';
+import { BadRequestError, ConflictError } from '../errors/http.error.js';
+import { createOrder } from '../services/order.service.js';
+import {
+    addCartItem,
+    CART_ID_HEADER,
+    clearCart,
+    findCart,
+    findOrCreateCart,
+    refreshCart,
+    removeCartItem,
+    setCartItemQuantity,
+    toOrderItems,
+} from '../services/cart.service.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     CartId:
+ *       in: header
+ *       name: cart_id
+ *       schema:
+ *         type: string
+ *       description: |
+ *         Id of an anonymous cart (`cartId` of a previous response). Ignored when an
+ *         access token is sent, signed in users always get their own cart.
+ *
+ *   schemas:
+ *     CartItem:
+ *       type: object
+ *       properties:
+ *         lineId:
+ *           type: string
+ *           description: Identifies the line in /api/cart/items/{lineId}, the food id for foods without options
+ *         food:
+ *           $ref: '#/components/schemas/Food'
+ *         options:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderItemOption'
+ *         quantity:
+ *           type: integer
+ *         unitPrice:
+ *           type: number
+ *           description: Current catalog price, options included
+ *         previousUnitPrice:
+ *           type: number
+ *           description: Only set when the price changed since the cart was last read
+ *         price:
+ *           type: number
+ *           description: unitPrice times quantity, 0 for unavailable items
+ *         available:
+ *           type: boolean
+ *           description: False when the food cannot be ordered right now
+ *         unavailableReason:
+ *           type: string
+ *           enum: [NOT_FOUND, DISABLED, OUTSIDE_HOURS, SOLD_OUT, DAILY_LIMIT_REACHED, NOT_ENOUGH_LEFT, OPTIONS_CHANGED]
+ *           description: Only set on unavailable items, OPTIONS_CHANGED when the chosen options no longer exist
+ *
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         cartId:
+ *           type: string
+ *           description: Only for anonymous carts, send it back in the cart_id header
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CartItem'
+ *         totalQuantity:
+ *           type: integer
+ *         totalPrice:
+ *           type: number
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+const getOwner = req =>
+    req.user ? { userId: req.user.id } : { guestId: req.get(CART_ID_HEADER) };
+
+/**
+ * @swagger
+ * /api/cart:
+ *   get:
+ *     summary: Get the cart with live prices and availability
+ *     description: Works for signed in users and, through the cart_id header, for anonymous carts.
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartId'
+ *     responses:
+ *       200:
+ *         description: Current cart, empty when there is none yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *   delete:
+ *     summary: Remove every item from the cart
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartId'
+ *     responses:
+ *       200:
+ *         description: Empty cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ */
+router.get(
+    '/',
+    optionalAuth,
+    handler(async (req, res) => {
+        const cart = await findCart(getOwner(req));
+        res.send(await refreshCart(cart));
+    })
+);
+
+router.delete(
+    '/',
+    optionalAuth,
+    handler(async (req, res) => {
+        const cart = await findCart(getOwner(req));
+        if (cart) await clearCart(cart);
+        res.send(await refreshCart(cart));
+    })
+);
+
+/**
+ * @swagger
+ * /api/cart/items:
+ *   post:
+ *     summary: Add a food to the cart
+ *     description: |
+ *       Adds to the quantity when the food is already in the cart with the same options.
+ *       Anonymous callers without a cart_id get a new cart, its id is returned as `cartId`.
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - foodId
+ *             properties:
+ *               foodId:
+ *                 type: string
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Ids of the chosen options, see optionGroups of the food
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 99
+ *                 default: 1
+ *     responses:
+ *       200:
+ *         description: Updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Quantity out of range or invalid options (INVALID_OPTIONS)
+ *       404:
+ *         description: Food not found
+ */
+router.post(
+    '/items',
+    optionalAuth,
+    handler(async (req, res) => {
+        const { foodId, quantity = 1, options } = req.body;
+        const cart = await findOrCreateCart(getOwner(req));
+
+        await addCartItem(cart, foodId, quantity, options);
+        res.send(await refreshCart(cart));
+    })
+);
+
+/**
+ * @swagger
+ * /api/cart/items/{lineId}:
+ *   put:
+ *     summary: Change the quantity of a cart line, 0 removes it
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartId'
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: lineId of the cart item, the food id for foods without options
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 99
+ *     responses:
+ *       200:
+ *         description: Updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       404:
+ *         description: Food is not in the cart
+ *   delete:
+ *     summary: Remove a line from the cart
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartId'
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: lineId of the cart item, the food id for foods without options
+ *     responses:
+ *       200:
+ *         description: Updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       404:
+ *         description: Food is not in the cart
+ */
+router.put(
+    '/items/:lineId',
+    optionalAuth,
+    handler(async (req, res) => {
+        const cart = await findCart(getOwner(req));
+
+        await setCartItemQuantity(cart, req.params.lineId, req.body.quantity);
+        res.send(await refreshCart(cart));
+    })
+);
+
+router.delete(
+    '/items/:lineId',
+    optionalAuth,
+    handler(async (req, res) => {
+        const cart = await findCart(getOwner(req));
+
+        await removeCartItem(cart, req.params.lineId);
+        res.send(await refreshCart(cart));
+    })
+);
+
+/**
+ * @swagger
+ * /api/cart/checkout:
+ *   post:
+ *     summary: Turn the cart into a new order and empty the cart
+ *     description: |
+ *       Fails with 409 when items became unavailable or prices changed since the cart
+ *       was last read. The refreshed cart is returned as `cart` so the client can show
+ *       what changed, checking out again then uses the new prices.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - address
+ *               - addressLatLng
+ *             properties:
+ *               name:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               addressLatLng:
+ *                 $ref: '#/components/schemas/AddressLatLng'
+ *               couponCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Cart is empty, the address is not served or the coupon cannot be used
+ *       403:
+ *         description: Email address is not verified yet
+ *       409:
+ *         description: |
+ *           Items unavailable (CART_ITEMS_UNAVAILABLE), prices changed (CART_PRICES_CHANGED)
+ *           or an item sold out while ordering (OUT_OF_STOCK)
+ *       429:
+ *         description: Too many orders created, see the Retry-After header
+ */
+router.post(
+    '/checkout',
+    auth,
+    rateLimit('orderCreate'),
+    verifiedEmail,
+    handler(async (req, res) => {
+        const { name, address, addressLatLng, couponCode } = req.body;
+        const cart = await findCart({ userId: req.user.id });
+
+        if (!cart?.items.length) {
+            throw new BadRequestError('Cart Is Empty!', { code: 'CART_EMPTY' });
+        }
+
+        const view = await refreshCart(cart);
+        if (view.items.some(item => !item.available)) {
+            throw new ConflictError('Some items are no longer available', {
+                code: 'CART_ITEMS_UNAVAILABLE',
+                extra: { cart: view },
+            });
+        }
+        if (view.items.some(item => item.previousUnitPrice !== undefined)) {
+            throw new ConflictError('Prices changed since the cart was last read', {
+                code: 'CART_PRICES_CHANGED',
+                extra: { cart: view },
+            });
+        }
+
+        const order = await createOrder({
+            userId: req.user.id,
+            name,
+            address,
+            addressLatLng,
+            items: toOrderItems(cart),
+            couponCode,
+        });
+
+        await clearCart(cart);
+        res.send(order);
+    })
+);
+
+export default router;
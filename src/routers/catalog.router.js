@@ -0,0 +1,210 @@
+import { Router } from 'express';
+import handler from 'express-async-handler';
+import multer from 'multer';
+import { extname } from 'path';
+import requirePermission from '../middleware/permission.mid.js';
+import { Permissions } from '../constants/roles.js';
+import { BadRequestError } from '../errors/http.error.js';
+import { CATALOG_FORMATS, exportCatalog, importCatalog } from '../services/catalog.service.js';
+
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024;
+
+const router = Router();
+const upload = multer({ limits: { fileSize: MAX_IMPORT_FILE_SIZE } });
+
+router.use(requirePermission(Permissions.FOODS_MANAGE));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CatalogImportRow:
+ *       type: object
+ *       properties:
+ *         row:
+ *           type: integer
+ *           description: Position of the food in the file, 1 for the first one (after the CSV header)
+ *         sku:
+ *           type: string
+ *           nullable: true
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         action:
+ *           type: string
+ *           enum: [CREATE, UPDATE, UNCHANGED, ERROR]
+ *         foodId:
+ *           type: string
+ *           description: Food that was (or would be) updated, or the new food once created
+ *         changes:
+ *           type: array
+ *           description: Fields an UPDATE changes
+ *           items:
+ *             type: string
+ *         errors:
+ *           type: array
+ *           description: Why an ERROR row is not imported
+ *           items:
+ *             type: string
+ *
+ *     CatalogImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *         atomic:
+ *           type: boolean
+ *         applied:
+ *           type: boolean
+ *           description: Whether anything was saved
+ *         summary:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             created:
+ *               type: integer
+ *             updated:
+ *               type: integer
+ *             unchanged:
+ *               type: integer
+ *             errors:
+ *               type: integer
+ *         rows:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CatalogImportRow'
+ */
+
+/**
+ * @swagger
+ * /api/admin/catalog/export:
+ *   get:
+ *     summary: Download every visible food (requires foods:manage)
+ *     description: |
+ *       The file can be edited and imported again. CSV has the columns sku, name, price,
+ *       tags, origins, featured, imageUrl and cookTime, lists are separated by `;`.
+ *       JSON also holds the option groups.
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Catalog file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ */
+router.get(
+    '/export',
+    handler(async (req, res) => {
+        const format = req.query.format ?? 'json';
+        const catalog = await exportCatalog(format);
+
+        res.attachment(`catalog.${format}`).send(format === 'csv' ? catalog : JSON.stringify(catalog, null, 2));
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/catalog/import:
+ *   post:
+ *     summary: Create and update foods from a CSV or JSON file (requires foods:manage)
+ *     description: |
+ *       Rows update the food with the same sku, or the only food with the same name that has
+ *       no other sku, and create new foods otherwise. Empty cells keep the current value.
+ *       Every change is recorded in the food's versions.
+ *
+ *       Without `atomic`, valid rows are saved and invalid ones reported. With it, nothing is
+ *       saved unless every row is valid and the rows are saved in one transaction, which needs
+ *       MongoDB to run as a replica set.
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *         description: Taken from the file extension when not sent
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only report what the import would do
+ *       - in: query
+ *         name: atomic
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Import all rows or none
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV or JSON file of at most 5 MB and 2000 foods, like the export
+ *     responses:
+ *       200:
+ *         description: What was imported, or would be on a dry run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CatalogImportReport'
+ *       400:
+ *         description: |
+ *           No or unreadable file (FILE_MISSING, INVALID_IMPORT_FILE), too many foods (IMPORT_TOO_LARGE),
+ *           invalid rows in an atomic import (INVALID_IMPORT_ROWS, the report is sent as `report`)
+ *           or transactions not available (TRANSACTIONS_UNSUPPORTED)
+ *       409:
+ *         description: A food was changed meanwhile during an atomic import (FOOD_VERSION_CONFLICT)
+ */
+router.post(
+    '/import',
+    upload.single('file'),
+    handler(async (req, res) => {
+        const { file } = req;
+        if (!file) throw new BadRequestError('No file uploaded', { code: 'FILE_MISSING' });
+
+        const format = req.query.format ?? extname(file.originalname).slice(1).toLowerCase();
+        if (!CATALOG_FORMATS.includes(format)) {
+            throw new BadRequestError('Send a .csv or .json file, or set format', {
+                code: 'INVALID_IMPORT_FILE',
+            });
+        }
+
+        const report = await importCatalog({
+            buffer: file.buffer,
+            format,
+            dryRun: req.query.dryRun === 'true',
+            atomic: req.query.atomic === 'true',
+            userId: req.user.id,
+        });
+
+        res.send(report);
+    })
+);
+
+export default router;
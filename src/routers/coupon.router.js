@@ -0,0 +1,429 @@
+import { Router } from 'express';
+import { isValidObjectId } from 'mongoose';
+import handler from 'express-async-handler';
+import auth from '../middleware/auth.mid.js';
+import requirePermission from '../middleware/permission.mid.js';
+import { Permissions } from '../constants/roles.js';
+import { ConflictError, NotFoundError } from '../errors/http.error.js';
+import { CouponModel } from '../models/coupon.model.js';
+import { findPage } from '../services/query.service.js';
+import { priceOrderItems, roundPrice } from '../services/order.service.js';
+import { findCart, toOrderItems } from '../services/cart.service.js';
+import { requireDelivery } from '../services/delivery.service.js';
+import {
+    applyCoupon,
+    checkCouponDefinition,
+    normalizeCouponCode,
+} from '../services/coupon.service.js';
+
+const router = Router();
+
+// Fields admins may set, everything else (usedCount...) is managed here.
+const COUPON_FIELDS = [
+    'code',
+    'description',
+    'type',
+    'value',
+    'maxDiscount',
+    'buyQuantity',
+    'getQuantity',
+    'tags',
+    'minOrderTotal',
+    'startsAt',
+    'endsAt',
+    'maxUses',
+    'maxUsesPerUser',
+    'active',
+];
+
+const pickCouponFields = body =>
+    Object.fromEntries(COUPON_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CouponInput:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           minLength: 1
+ *           description: Matched case-insensitively
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [PERCENTAGE, FIXED_AMOUNT, FREE_DELIVERY, BUY_X_GET_Y]
+ *         value:
+ *           type: number
+ *           minimum: 0
+ *           description: Percent for PERCENTAGE, amount for FIXED_AMOUNT
+ *         maxDiscount:
+ *           type: number
+ *           minimum: 0
+ *           description: Upper bound of a PERCENTAGE discount
+ *         buyQuantity:
+ *           type: integer
+ *           minimum: 1
+ *         getQuantity:
+ *           type: integer
+ *           minimum: 1
+ *           description: BUY_X_GET_Y, the cheapest getQuantity of every buyQuantity + getQuantity matching units are free
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: BUY_X_GET_Y only counts foods having one of these tags, every food when empty
+ *         minOrderTotal:
+ *           type: number
+ *           minimum: 0
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         maxUses:
+ *           type: integer
+ *           minimum: 1
+ *         maxUsesPerUser:
+ *           type: integer
+ *           minimum: 1
+ *         active:
+ *           type: boolean
+ *
+ *     Coupon:
+ *       allOf:
+ *         - $ref: '#/components/schemas/CouponInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             usedCount:
+ *               type: integer
+ *               description: Orders holding the coupon, failed and cancelled orders give their use back
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/coupons/validate:
+ *   post:
+ *     summary: Preview the effect of a coupon
+ *     description: |
+ *       Prices `items` (or the current cart when no items are sent) and applies the
+ *       coupon the same way order creation does, without using it up. Send
+ *       `addressLatLng` to include the delivery fee.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/OrderItem'
+ *               addressLatLng:
+ *                 $ref: '#/components/schemas/AddressLatLng'
+ *     responses:
+ *       200:
+ *         description: Coupon can be used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 subtotal:
+ *                   type: number
+ *                 deliveryFee:
+ *                   type: number
+ *                 discount:
+ *                   $ref: '#/components/schemas/OrderDiscount'
+ *                 totalPrice:
+ *                   type: number
+ *       400:
+ *         description: Coupon cannot be used for these items, see the error code
+ *       404:
+ *         description: Coupon not found
+ *       409:
+ *         description: Coupon usage limit reached
+ */
+router.post(
+    '/validate',
+    auth,
+    handler(async (req, res) => {
+        const { code, addressLatLng } = req.body;
+        let { items } = req.body;
+
+        if (!items) {
+            const cart = await findCart({ userId: req.user.id });
+            items = toOrderItems(cart);
+        }
+
+        const { items: pricedItems, totalPrice: subtotal } = await priceOrderItems(items);
+        const deliveryFee = addressLatLng ? requireDelivery(addressLatLng).fee : 0;
+        const { discount } = await applyCoupon({
+            code,
+            userId: req.user.id,
+            items: pricedItems,
+            subtotal,
+            deliveryFee,
+        });
+
+        res.send({
+            subtotal,
+            deliveryFee,
+            discount,
+            totalPrice: roundPrice(subtotal + deliveryFee - discount.amount - discount.deliveryAmount),
+        });
+    })
+);
+
+const COUPON_FILTERS = {
+    active: { field: 'active', type: 'boolean' },
+    type: { field: 'type', type: 'list' },
+};
+
+const COUPON_SORT_FIELDS = ['code', 'createdAt', 'endsAt', 'usedCount'];
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   get:
+ *     summary: List coupons (requires coupons:manage)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: Comma-separated fields, prefix with - for descending (code, createdAt, endsAt, usedCount)
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated coupon types
+ *     responses:
+ *       200:
+ *         description: Page of coupons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *   post:
+ *     summary: Create a coupon (requires coupons:manage)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CouponInput'
+ *               - type: object
+ *                 required:
+ *                   - code
+ *                   - type
+ *     responses:
+ *       200:
+ *         description: Coupon created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Fields missing or inconsistent for the coupon type
+ *       409:
+ *         description: Code already in use
+ */
+router.get(
+    '/',
+    requirePermission(Permissions.COUPONS_MANAGE),
+    handler(async (req, res) => {
+        const page = await findPage({
+            model: CouponModel,
+            req,
+            filterSpec: COUPON_FILTERS,
+            sortFields: COUPON_SORT_FIELDS,
+            defaultSort: '-createdAt',
+        });
+
+        res.send(page);
+    })
+);
+
+router.post(
+    '/',
+    requirePermission(Permissions.COUPONS_MANAGE),
+    handler(async (req, res) => {
+        const fields = pickCouponFields(req.body);
+
+        if (await CouponModel.exists({ code: normalizeCouponCode(fields.code) })) {
+            throw new ConflictError('Coupon code already exists', { code: 'COUPON_EXISTS' });
+        }
+
+        const coupon = new CouponModel({ ...fields, createdBy: req.user.id });
+        checkCouponDefinition(coupon);
+        await coupon.save();
+
+        res.send(coupon);
+    })
+);
+
+/**
+ * @swagger
+ * /api/coupons/{couponId}:
+ *   get:
+ *     summary: Get a coupon (requires coupons:manage)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: couponId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       404:
+ *         description: Coupon not found
+ *   put:
+ *     summary: Update a coupon (requires coupons:manage)
+ *     description: Only the sent fields change. Set `active` to false to retire a coupon.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: couponId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponInput'
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Fields inconsistent for the coupon type
+ *       404:
+ *         description: Coupon not found
+ *       409:
+ *         description: Code already in use
+ *   delete:
+ *     summary: Delete a coupon (requires coupons:manage)
+ *     description: Orders keep their discount breakdown, including the code.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: couponId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted
+ *       404:
+ *         description: Coupon not found
+ */
+router.get(
+    '/:couponId',
+    requirePermission(Permissions.COUPONS_MANAGE),
+    handler(async (req, res) => {
+        res.send(await getCoupon(req.params.couponId));
+    })
+);
+
+router.put(
+    '/:couponId',
+    requirePermission(Permissions.COUPONS_MANAGE),
+    handler(async (req, res) => {
+        const coupon = await getCoupon(req.params.couponId);
+        const fields = pickCouponFields(req.body);
+
+        if (fields.code !== undefined) {
+            const taken = await CouponModel.exists({
+                code: normalizeCouponCode(fields.code),
+                _id: { $ne: coupon._id },
+            });
+            if (taken) throw new ConflictError('Coupon code already exists', { code: 'COUPON_EXISTS' });
+        }
+
+        coupon.set(fields);
+        checkCouponDefinition(coupon);
+        await coupon.save();
+
+        res.send(coupon);
+    })
+);
+
+router.delete(
+    '/:couponId',
+    requirePermission(Permissions.COUPONS_MANAGE),
+    handler(async (req, res) => {
+        const coupon = await getCoupon(req.params.couponId);
+        await coupon.deleteOne();
+        res.send();
+    })
+);
+
+const getCoupon = async couponId => {
+    const coupon = isValidObjectId(couponId) ? await CouponModel.findById(couponId) : null;
+    if (!coupon) throw new NotFoundError('Coupon not found', { code: 'COUPON_NOT_FOUND' });
+    return coupon;
+};
+
+export default router;
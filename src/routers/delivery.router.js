@@ -0,0 +1,68 @@
+import { Router } from 'express';
+import { quoteDelivery } from '../services/delivery.service.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeliveryQuote:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           description: False while no restaurant location is configured, delivery is then free everywhere
+ *         serviceable:
+ *           type: boolean
+ *           description: Whether the location is inside a delivery zone, orders outside are rejected
+ *         zone:
+ *           type: string
+ *           nullable: true
+ *         distanceKm:
+ *           type: number
+ *           nullable: true
+ *           description: Straight-line distance from the restaurant
+ *         fee:
+ *           type: number
+ *           nullable: true
+ *           description: Delivery fee added to the order total, null when not serviceable
+ */
+
+/**
+ * @swagger
+ * /api/delivery/quote:
+ *   get:
+ *     summary: Delivery fee and zone for a location
+ *     tags: [Delivery]
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *     responses:
+ *       200:
+ *         description: Delivery quote
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeliveryQuote'
+ *       400:
+ *         description: Invalid coordinates
+ */
+router.get('/quote', (req, res) => {
+    const { lat, lng } = req.query;
+    res.send(quoteDelivery({ lat, lng }));
+});
+
+export default router;
@@ -1,7 +1,24 @@
 import { Router } from 'express';
-import { FoodModel } from '../models/food.model.js';
+import { FoodModel, NOT_ARCHIVED } from '../models/food.model.js';
+import { FoodVersionModel } from '../models/foodVersion.model.js';
 import handler from 'express-async-handler';
-import admin from '../middleware/admin.mid.js';
+import auth from '../middleware/auth.mid.js';
+import optionalAuth from '../middleware/optionalAuth.mid.js';
+import requirePermission from '../middleware/permission.mid.js';
+import { Permissions } from '../constants/roles.js';
+import { ValidationError } from '../errors/http.error.js';
+import { findPage, parseQuery } from '../services/query.service.js';
+import { searchFoods } from '../services/search.service.js';
+import { addFavorite, annotateFavorites, removeFavorite } from '../services/favorite.service.js';
+import { withAvailability } from '../services/inventory.service.js';
+import {
+    archiveFood,
+    createFood,
+    findFoodOrThrow,
+    revertFood,
+    unarchiveFood,
+    updateFood,
+} from '../services/food.service.js';
 
 const router = Router();
 
@@ -23,6 +40,9 @@ const router = Router();
  *         name:
  *           type: string
  *           description: Name of the food
+ *         sku:
+ *           type: string
+ *           description: Identifier from the restaurant's own systems, unique, matches rows of catalog imports
  *         price:
  *           type: number
  *           description: Price of the food
@@ -31,9 +51,39 @@ const router = Router();
  *           items:
  *             type: string
  *           description: Tags/categories of the food
+ *         featured:
+ *           type: boolean
+ *           description: Highlighted by staff
  *         favorite:
  *           type: boolean
- *           description: Whether the food is marked as favorite
+ *           description: Whether the caller marked the food as favorite, only sent to signed-in users
+ *         available:
+ *           type: boolean
+ *           description: Switched off by staff when false
+ *         availability:
+ *           type: array
+ *           description: Local times the food can be ordered in, always when empty
+ *           items:
+ *             $ref: '#/components/schemas/AvailabilityWindow'
+ *         stock:
+ *           type: integer
+ *           description: Portions left, unlimited when not set
+ *         dailyLimit:
+ *           type: integer
+ *           description: Portions sold per day at most, unlimited when not set
+ *         availableNow:
+ *           type: boolean
+ *           description: Whether the food can be ordered right now
+ *         unavailableReason:
+ *           type: string
+ *           nullable: true
+ *           enum: [DISABLED, OUTSIDE_HOURS, SOLD_OUT, DAILY_LIMIT_REACHED]
+ *         stars:
+ *           type: number
+ *           description: Average rating of the visible reviews
+ *         ratingCount:
+ *           type: integer
+ *           description: Number of reviews the rating is based on
  *         imageUrl:
  *           type: string
  *           description: URL of the food image
@@ -45,26 +95,196 @@ const router = Router();
  *         cookTime:
  *           type: string
  *           description: Time needed to prepare the food
+ *         optionGroups:
+ *           type: array
+ *           description: Sizes, crusts, toppings and other choices made per order line
+ *           items:
+ *             $ref: '#/components/schemas/OptionGroup'
+ *         version:
+ *           type: integer
+ *           description: Increased on every change, see /api/foods/{foodId}/versions
+ *         archivedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Only set on archived foods, which are only shown to staff
+ *
+ *     FoodVersion:
+ *       type: object
+ *       properties:
+ *         food:
+ *           type: string
+ *         version:
+ *           type: integer
+ *         action:
+ *           type: string
+ *           enum: [CREATED, UPDATED, ARCHIVED, UNARCHIVED, REVERTED]
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               from: {}
+ *               to: {}
+ *         snapshot:
+ *           type: object
+ *           description: Catalog fields of the food after this version
+ *         revertedTo:
+ *           type: integer
+ *           description: Only set on REVERTED versions
+ *         by:
+ *           type: string
+ *           nullable: true
+ *           description: Id of the staff member who made the change
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     OptionGroup:
+ *       type: object
+ *       required:
+ *         - name
+ *         - options
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Send it back when updating a food, carts refer to options by id
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *           example: Size
+ *         minSelect:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *           description: 1 or more makes the group required
+ *         maxSelect:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         options:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *                 example: Large
+ *               priceDelta:
+ *                 type: number
+ *                 minimum: 0
+ *                 default: 0
+ *                 description: Added to the food price per portion
+ *
+ *     AvailabilityWindow:
+ *       type: object
+ *       required:
+ *         - from
+ *         - to
+ *       properties:
+ *         days:
+ *           type: array
+ *           description: Weekdays, 0 is Sunday, every day when empty
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *         from:
+ *           type: string
+ *           pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+ *           example: '06:00'
+ *         to:
+ *           type: string
+ *           pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+ *           description: Before from for windows running past midnight
+ *           example: '11:00'
+ *
+ *     StringList:
+ *       description: Comma-separated string or array of strings
+ *       oneOf:
+ *         - type: string
+ *         - type: array
+ *           items:
+ *             type: string
  */
 
 /**
  * @swagger
  * /api/foods:
  *   get:
- *     summary: Get all foods
+ *     summary: Get foods, paginated
  *     tags: [Foods]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: -price,name
+ *         description: Comma-separated fields, prefix with - for descending (name, price, stars, createdAt)
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: minStars
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxStars
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated, matches foods having any of the tags
+ *       - in: query
+ *         name: origins
+ *         schema:
+ *           type: string
+ *         description: Comma-separated, matches foods having any of the origins
+ *       - in: query
+ *         name: featured
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
- *         description: List of all foods
+ *         description: Page of foods
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Food'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Food'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *
  *   post:
- *     summary: Add new food (Admin only)
+ *     summary: Add new food (requires foods:manage)
  *     tags: [Foods]
  *     security:
  *       - bearerAuth: []
@@ -78,24 +298,38 @@ const router = Router();
  *               - name
  *               - price
  *               - imageUrl
+ *               - origins
  *               - cookTime
  *             properties:
+ *               sku:
+ *                 type: string
+ *                 minLength: 1
  *               name:
  *                 type: string
+ *                 minLength: 1
  *               price:
  *                 type: number
+ *                 minimum: 0
  *               tags:
- *                 type: string
- *                 description: Comma-separated tags
+ *                 $ref: '#/components/schemas/StringList'
+ *               featured:
+ *                 type: boolean
  *               favorite:
  *                 type: boolean
+ *                 deprecated: true
+ *                 description: Old name of featured
  *               imageUrl:
  *                 type: string
+ *                 minLength: 1
  *               origins:
- *                 type: string
- *                 description: Comma-separated origins
+ *                 $ref: '#/components/schemas/StringList'
  *               cookTime:
  *                 type: string
+ *                 minLength: 1
+ *               optionGroups:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/OptionGroup'
  *     responses:
  *       200:
  *         description: Food created successfully
@@ -103,9 +337,12 @@ const router = Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Food'
+ *       400:
+ *         description: Invalid option groups (INVALID_OPTION_GROUPS)
  *
  *   put:
- *     summary: Update food (Admin only)
+ *     summary: Update food (requires foods:manage)
+ *     description: Fields that are not sent are kept, every change is recorded as a new version of the food.
  *     tags: [Foods]
  *     security:
  *       - bearerAuth: []
@@ -120,23 +357,51 @@ const router = Router();
  *             properties:
  *               id:
  *                 type: string
+ *               version:
+ *                 type: integer
+ *                 description: Version the edit is based on, rejected with 409 when the food changed since
+ *               sku:
+ *                 type: string
+ *                 minLength: 1
  *               name:
  *                 type: string
+ *                 minLength: 1
  *               price:
  *                 type: number
+ *                 minimum: 0
  *               tags:
- *                 type: string
+ *                 $ref: '#/components/schemas/StringList'
+ *               featured:
+ *                 type: boolean
  *               favorite:
  *                 type: boolean
+ *                 deprecated: true
+ *                 description: Old name of featured
  *               imageUrl:
  *                 type: string
+ *                 minLength: 1
  *               origins:
- *                 type: string
+ *                 $ref: '#/components/schemas/StringList'
  *               cookTime:
  *                 type: string
+ *                 minLength: 1
+ *               optionGroups:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/OptionGroup'
  *     responses:
  *       200:
  *         description: Food updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Food'
+ *       400:
+ *         description: Invalid option groups (INVALID_OPTION_GROUPS)
+ *       404:
+ *         description: Food not found or archived
+ *       409:
+ *         description: The food was changed meanwhile (FOOD_VERSION_CONFLICT)
  */
 
 /**
@@ -165,7 +430,10 @@ const router = Router();
  * @swagger
  * /api/foods/search/{searchTerm}:
  *   get:
- *     summary: Search foods by name
+ *     summary: Search foods by name, tags and origins
+ *     description: |
+ *       Results are ranked by relevance. Words match on prefixes and small typos are
+ *       corrected against the catalog. Facets are computed before the tag and price filters.
  *     tags: [Foods]
  *     parameters:
  *       - in: path
@@ -173,16 +441,78 @@ const router = Router();
  *         required: true
  *         schema:
  *           type: string
- *         description: Term to search in food names
+ *           maxLength: 64
+ *         description: Words to search for
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated, keeps foods having any of the tags
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - $ref: '#/components/parameters/Limit'
  *     responses:
  *       200:
- *         description: List of matching foods
+ *         description: Ranked matching foods with facets
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Food'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Food'
+ *                       - type: object
+ *                         properties:
+ *                           score:
+ *                             type: number
+ *                 total:
+ *                   type: number
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           count:
+ *                             type: number
+ *                     price:
+ *                       type: object
+ *                       properties:
+ *                         min:
+ *                           type: number
+ *                         max:
+ *                           type: number
+ *                         buckets:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               min:
+ *                                 type: number
+ *                               max:
+ *                                 type: number
+ *                                 nullable: true
+ *                               count:
+ *                                 type: number
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  */
 
 /**
@@ -229,9 +559,14 @@ const router = Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Food'
+ *       404:
+ *         description: Food not found or archived
  *
  *   delete:
- *     summary: Delete food (Admin only)
+ *     summary: Archive food (requires foods:manage)
+ *     description: |
+ *       The food is hidden from customers and can no longer be ordered, past orders keep it.
+ *       It can be brought back with POST /api/foods/{foodId}/restore.
  *     tags: [Foods]
  *     security:
  *       - bearerAuth: []
@@ -241,62 +576,61 @@ const router = Router();
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of food to delete
+ *         description: ID of food to archive
  *     responses:
  *       200:
- *         description: Food deleted successfully
+ *         description: Food archived successfully
+ *       404:
+ *         description: Food not found or already archived
  */
 
-// Original route implementations...
-router.get('/', handler(async (req, res) => {
-    const foods = await FoodModel.find({});
-    res.send(foods);
-}));
+const FOOD_FILTERS = {
+    minPrice: { field: 'price', type: 'number', op: '$gte' },
+    maxPrice: { field: 'price', type: 'number', op: '$lte' },
+    minStars: { field: 'stars', type: 'number', op: '$gte' },
+    maxStars: { field: 'stars', type: 'number', op: '$lte' },
+    tags: { field: 'tags', type: 'list' },
+    origins: { field: 'origins', type: 'list' },
+    featured: { field: 'featured', type: 'boolean' },
+};
 
-router.post('/', admin, handler(async (req, res) => {
-    const { name, price, tags, favorite, imageUrl, origins, cookTime } = req.body;
-
-    const food = new FoodModel({
-        name,
-        price,
-        tags: tags.split ? tags.split(',') : tags,
-        favorite,
-        imageUrl,
-        origins: origins.split ? origins.split(',') : origins,
-        cookTime,
+const FOOD_SORT_FIELDS = ['name', 'price', 'stars', 'createdAt'];
+
+// Original route implementations...
+router.get('/', optionalAuth, handler(async (req, res) => {
+    const page = await findPage({
+        model: FoodModel,
+        req,
+        filter: NOT_ARCHIVED,
+        filterSpec: FOOD_FILTERS,
+        sortFields: FOOD_SORT_FIELDS,
+        defaultSort: 'createdAt',
     });
 
-    await food.save();
-    res.send(food);
+    page.data = await present(page.data, req);
+    res.send(page);
 }));
 
-router.put('/', admin, handler(async (req, res) => {
-    const { id, name, price, tags, favorite, imageUrl, origins, cookTime } = req.body;
+router.post('/', requirePermission(Permissions.FOODS_MANAGE), handler(async (req, res) => {
+    const food = await createFood(getFoodFields(req.body), req.user.id);
+    res.send(food);
+}));
 
-    await FoodModel.updateOne(
-        { _id: id },
-        {
-            name,
-            price,
-            tags: tags.split ? tags.split(',') : tags,
-            favorite,
-            imageUrl,
-            origins: origins.split ? origins.split(',') : origins,
-            cookTime,
-        }
-    );
+router.put('/', requirePermission(Permissions.FOODS_MANAGE), handler(async (req, res) => {
+    const { id, version } = req.body;
 
-    res.send();
+    const food = await updateFood(id, getFoodFields(req.body), req.user.id, { expectedVersion: version });
+    res.send(food);
 }));
 
-router.delete('/:foodId', admin, handler(async (req, res) => {
-    const { foodId } = req.params;
-    await FoodModel.deleteOne({ _id: foodId });
+router.delete('/:foodId', requirePermission(Permissions.FOODS_MANAGE), handler(async (req, res) => {
+    await archiveFood(req.params.foodId, req.user.id);
     res.send();
 }));
 
 router.get('/tags', handler(async (req, res) => {
     const tags = await FoodModel.aggregate([
+        { $match: NOT_ARCHIVED },
         { $unwind: '$tags' },
         {
             $group: {
@@ -315,30 +649,306 @@ router.get('/tags', handler(async (req, res) => {
 
     const all = {
         name: 'All',
-        count: await FoodModel.countDocuments(),
+        count: await FoodModel.countDocuments(NOT_ARCHIVED),
     };
 
     tags.unshift(all);
     res.send(tags);
 }));
 
-router.get('/search/:searchTerm', handler(async (req, res) => {
+const SEARCH_OPTIONS = {
+    tags: 'list',
+    minPrice: 'number',
+    maxPrice: 'number',
+    limit: 'number',
+};
+
+router.get('/search/:searchTerm', optionalAuth, handler(async (req, res) => {
     const { searchTerm } = req.params;
-    const searchRegex = new RegExp(searchTerm, 'i');
-    const foods = await FoodModel.find({ name: { $regex: searchRegex } });
-    res.send(foods);
+    const { values: options, errors } = parseQuery(req.query, SEARCH_OPTIONS);
+
+    if (options.limit !== undefined && !(Number.isInteger(options.limit) && options.limit > 0 && options.limit <= 100)) {
+        errors.push({ param: 'limit', message: 'Must be an integer between 1 and 100' });
+    }
+
+    if (errors.length) {
+        throw new ValidationError('Invalid query parameters', errors.map(error => ({ in: 'query', ...error })));
+    }
+
+    const result = await searchFoods(searchTerm, options);
+    result.data = await present(result.data, req);
+    res.send(result);
 }));
 
-router.get('/tag/:tag', handler(async (req, res) => {
+router.get('/tag/:tag', optionalAuth, handler(async (req, res) => {
     const { tag } = req.params;
-    const foods = await FoodModel.find({ tags: tag });
-    res.send(foods);
+    const foods = await FoodModel.find({ ...NOT_ARCHIVED, tags: tag });
+    res.send(await present(foods, req));
+}));
+
+/**
+ * @swagger
+ * /api/foods/archived:
+ *   get:
+ *     summary: Get archived foods, paginated (requires foods:manage)
+ *     tags: [Foods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: -archivedAt
+ *         description: Comma-separated fields, prefix with - for descending (name, price, archivedAt)
+ *     responses:
+ *       200:
+ *         description: Archived foods, the most recently archived first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Food'
+ */
+router.get('/archived', requirePermission(Permissions.FOODS_MANAGE), handler(async (req, res) => {
+    const page = await findPage({
+        model: FoodModel,
+        req,
+        filter: { archivedAt: { $ne: null } },
+        sortFields: ['name', 'price', 'archivedAt'],
+        defaultSort: '-archivedAt',
+    });
+
+    res.send(page);
+}));
+
+router.get('/:foodId', optionalAuth, handler(async (req, res) => {
+    const food = await findFoodOrThrow(req.params.foodId);
+
+    const [presented] = await present([food], req);
+    res.send(presented);
 }));
 
-router.get('/:foodId', handler(async (req, res) => {
-    const { foodId } = req.params;
-    const food = await FoodModel.findById(foodId);
+/**
+ * @swagger
+ * /api/foods/{foodId}/favorite:
+ *   post:
+ *     summary: Add a food to the caller's favorites
+ *     tags: [Foods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: foodId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Food is a favorite, also when it already was
+ *       404:
+ *         description: Food not found
+ *       409:
+ *         description: Favorites limit reached
+ *
+ *   delete:
+ *     summary: Remove a food from the caller's favorites
+ *     tags: [Foods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: foodId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Food is not a favorite anymore
+ */
+router.post('/:foodId/favorite', auth, handler(async (req, res) => {
+    await addFavorite(req.user.id, req.params.foodId);
+    res.send();
+}));
+
+router.delete('/:foodId/favorite', auth, handler(async (req, res) => {
+    await removeFavorite(req.user.id, req.params.foodId);
+    res.send();
+}));
+
+/**
+ * @swagger
+ * /api/foods/{foodId}/restore:
+ *   post:
+ *     summary: Bring an archived food back (requires foods:manage)
+ *     tags: [Foods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: foodId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Restored food
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Food'
+ *       404:
+ *         description: Food not found
+ *       409:
+ *         description: Food is not archived (FOOD_NOT_ARCHIVED)
+ */
+router.post('/:foodId/restore', requirePermission(Permissions.FOODS_MANAGE), handler(async (req, res) => {
+    const food = await unarchiveFood(req.params.foodId, req.user.id);
     res.send(food);
 }));
 
+/**
+ * @swagger
+ * /api/foods/{foodId}/versions:
+ *   get:
+ *     summary: Get the version history of a food, paginated (requires foods:manage)
+ *     description: Also works for archived foods.
+ *     tags: [Foods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: foodId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [CREATED, UPDATED, ARCHIVED, UNARCHIVED, REVERTED]
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *           example: price
+ *         description: Only versions changing this field
+ *     responses:
+ *       200:
+ *         description: Versions of the food, the latest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FoodVersion'
+ *       404:
+ *         description: Food not found
+ */
+const FOOD_VERSION_FILTERS = {
+    action: { field: 'action', type: 'string' },
+    field: { field: 'changes.field', type: 'string' },
+};
+
+router.get('/:foodId/versions', requirePermission(Permissions.FOODS_MANAGE), handler(async (req, res) => {
+    const food = await findFoodOrThrow(req.params.foodId, { includeArchived: true });
+
+    const page = await findPage({
+        model: FoodVersionModel,
+        req,
+        filter: { food: food._id },
+        filterSpec: FOOD_VERSION_FILTERS,
+        sortFields: ['version'],
+        defaultSort: '-version',
+    });
+
+    res.send(page);
+}));
+
+/**
+ * @swagger
+ * /api/foods/{foodId}/versions/{version}/restore:
+ *   post:
+ *     summary: Set a food back to an earlier version (requires foods:manage)
+ *     description: |
+ *       Name, price and the other catalog fields are taken from the version, the result is
+ *       recorded as a new version. Archived foods stay archived.
+ *     tags: [Foods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: foodId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Food as of the restored version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Food'
+ *       404:
+ *         description: Food or version not found
+ *       409:
+ *         description: The food was changed meanwhile (FOOD_VERSION_CONFLICT)
+ */
+router.post(
+    '/:foodId/versions/:version/restore',
+    requirePermission(Permissions.FOODS_MANAGE),
+    handler(async (req, res) => {
+        const { foodId, version } = req.params;
+
+        const food = await revertFood(foodId, Number(version), req.user.id);
+        res.send(food);
+    })
+);
+
+// Adds whether the foods can be ordered right now and the caller's favorite flag.
+const present = (foods, req) => annotateFavorites(foods.map(withAvailability), req.user?.id);
+
+// `favorite` is the name older admin clients still send for `featured`.
+const getFeatured = ({ featured, favorite }) => featured ?? favorite;
+
+const getFoodFields = body => ({
+    sku: body.sku,
+    name: body.name,
+    price: body.price,
+    tags: toList(body.tags),
+    featured: getFeatured(body),
+    imageUrl: body.imageUrl,
+    origins: toList(body.origins),
+    cookTime: body.cookTime,
+    optionGroups: body.optionGroups,
+});
+
+const toList = value =>
+    typeof value === 'string'
+        ? value.split(',').map(item => item.trim()).filter(Boolean)
+        : value;
+
 export default router;
\ No newline at end of file
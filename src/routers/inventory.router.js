@@ -0,0 +1,231 @@
+import { Router } from 'express';
+import handler from 'express-async-handler';
+import requirePermission from '../middleware/permission.mid.js';
+import { Permissions } from '../constants/roles.js';
+import { ValidationError } from '../errors/http.error.js';
+import { parseQuery } from '../services/query.service.js';
+import {
+    adjustStock,
+    findFoodInventory,
+    findLowStock,
+    toInventoryView,
+    updateInventory,
+} from '../services/inventory.service.js';
+
+const router = Router();
+router.use(requirePermission(Permissions.INVENTORY_MANAGE));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FoodInventory:
+ *       type: object
+ *       properties:
+ *         foodId:
+ *           type: string
+ *         name:
+ *           type: string
+ *         available:
+ *           type: boolean
+ *           description: Switched off by staff when false
+ *         availability:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AvailabilityWindow'
+ *         stock:
+ *           type: integer
+ *           nullable: true
+ *           description: Portions left, null when unlimited
+ *         dailyLimit:
+ *           type: integer
+ *           nullable: true
+ *         soldToday:
+ *           type: integer
+ *           description: Portions held by today's orders, failed and cancelled orders give theirs back
+ *         remaining:
+ *           type: integer
+ *           nullable: true
+ *           description: Portions that can still be ordered today, null when unlimited
+ *         availableNow:
+ *           type: boolean
+ *         unavailableReason:
+ *           type: string
+ *           nullable: true
+ *           enum: [DISABLED, OUTSIDE_HOURS, SOLD_OUT, DAILY_LIMIT_REACHED]
+ */
+
+/**
+ * @swagger
+ * /api/inventory/alerts:
+ *   get:
+ *     summary: Foods running low, sold out or switched off (requires inventory:manage)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Foods with this many portions left today or fewer, LOW_STOCK_THRESHOLD by default
+ *     responses:
+ *       200:
+ *         description: Foods needing attention, the emptiest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FoodInventory'
+ */
+router.get(
+    '/alerts',
+    handler(async (req, res) => {
+        const { values, errors } = parseQuery(req.query, { threshold: 'number' });
+
+        if (values.threshold !== undefined && !(Number.isInteger(values.threshold) && values.threshold >= 0)) {
+            errors.push({ param: 'threshold', message: 'Must be a non-negative integer' });
+        }
+
+        if (errors.length) {
+            throw new ValidationError('Invalid query parameters', errors.map(error => ({ in: 'query', ...error })));
+        }
+
+        res.send(await findLowStock(values.threshold));
+    })
+);
+
+/**
+ * @swagger
+ * /api/inventory/{foodId}:
+ *   get:
+ *     summary: Stock and availability of a food (requires inventory:manage)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: foodId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Food inventory
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FoodInventory'
+ *       404:
+ *         description: Food not found
+ *
+ *   put:
+ *     summary: Set stock, daily limit and availability of a food (requires inventory:manage)
+ *     description: Fields that are not sent are kept, null makes stock or daily limit unlimited.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: foodId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               available:
+ *                 type: boolean
+ *               availability:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/AvailabilityWindow'
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *               dailyLimit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Updated food inventory
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FoodInventory'
+ *       404:
+ *         description: Food not found
+ */
+router.get(
+    '/:foodId',
+    handler(async (req, res) => {
+        const food = await findFoodInventory(req.params.foodId);
+        res.send(toInventoryView(food));
+    })
+);
+
+router.put(
+    '/:foodId',
+    handler(async (req, res) => {
+        const { available, availability, stock, dailyLimit } = req.body;
+
+        const food = await updateInventory(req.params.foodId, { available, availability, stock, dailyLimit });
+        res.send(toInventoryView(food));
+    })
+);
+
+/**
+ * @swagger
+ * /api/inventory/{foodId}/adjust:
+ *   post:
+ *     summary: Add or remove portions of a food (requires inventory:manage)
+ *     description: The change is applied atomically, e.g. +20 after a delivery or -3 for spoiled portions.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: foodId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - delta
+ *             properties:
+ *               delta:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Updated food inventory
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FoodInventory'
+ *       404:
+ *         description: Food not found
+ *       409:
+ *         description: Stock is not tracked for the food (STOCK_NOT_TRACKED) or would go below zero (INSUFFICIENT_STOCK)
+ */
+router.post(
+    '/:foodId/adjust',
+    handler(async (req, res) => {
+        const food = await adjustStock(req.params.foodId, req.body.delta);
+        res.send(toInventoryView(food));
+    })
+);
+
+export default router;
@@ -1,34 +1,175 @@
 import { Router } from 'express';
+import { isValidObjectId } from 'mongoose';
 import handler from 'express-async-handler';
-import auth from '../middleware/auth.mid.js';
-import {BAD_REQUEST, UNAUTHORIZED} from '../constants/httpStatus.js';
+import auth, { checkAccessToken } from '../middleware/auth.mid.js';
+import requirePermission from '../middleware/permission.mid.js';
+import verifiedEmail from '../middleware/verifiedEmail.mid.js';
+import rateLimit from '../middleware/rateLimit.mid.js';
+import { Permissions } from '../constants/roles.js';
+import { hasPermission } from '../services/role.service.js';
+import { BadRequestError, ForbiddenError, NotFoundError } from '../errors/http.error.js';
 import { OrderModel } from '../models/order.model.js';
 import { OrderStatus } from '../constants/orderStatus.js';
-import { UserModel } from '../models/user.model.js';
+import { findPage } from '../services/query.service.js';
+import {
+    createOrder,
+    isFinalStatus,
+    resolveRequestedStatus,
+    transitionOrderStatus,
+    updateCourierLocation,
+} from '../services/order.service.js';
+import { createPaymentRequest, payOrder } from '../services/payment.service.js';
+import {
+    getOrderExpiryStatus,
+    runOrderExpirySweep,
+} from '../services/orderExpiry.service.js';
+import {
+    OrderEventType,
+    getOrderEventsSince,
+    nextEventId,
+    subscribeToOrder,
+} from '../services/orderEvents.service.js';
+import { openEventStream } from '../services/sse.service.js';
 
 const router = Router();
+
+// EventSource cannot send headers, the stream accepts the token as a query parameter instead.
+// URLs end up in proxy and server logs, so clients that can set headers should not use it.
+router.use('/track/:orderId/stream', (req, res, next) => {
+    if (!req.headers.access_token && req.query.access_token) {
+        req.headers.access_token = req.query.access_token;
+    }
+    next();
+});
+
 router.use(auth);
 
 /**
  * @swagger
  * components:
  *   schemas:
+ *     StatusChange:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: string
+ *           nullable: true
+ *         to:
+ *           type: string
+ *         by:
+ *           type: string
+ *           nullable: true
+ *           description: Id of the user who made the change, null for system changes
+ *         reason:
+ *           type: string
+ *         at:
+ *           type: string
+ *           format: date-time
+ *
+ *     PaymentRequest:
+ *       type: object
+ *       properties:
+ *         recipient:
+ *           type: string
+ *           description: Solana address receiving the payment
+ *         amount:
+ *           type: string
+ *           description: Amount in SOL
+ *         lamports:
+ *           type: number
+ *         reference:
+ *           type: string
+ *           description: Unique public key that must be included in the payment transaction
+ *         url:
+ *           type: string
+ *           description: Solana Pay transfer request URL
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
  *     OrderItem:
  *       type: object
+ *       required:
+ *         - food
+ *         - quantity
  *       properties:
  *         food:
- *           type: object
- *           properties:
- *             id:
- *               type: string
- *             name:
- *               type: string
- *             price:
- *               type: number
+ *           description: |
+ *             Food id, or the food object of a previous order (only its `id` or `_id` is read).
+ *             Orders return the food as it was ordered.
+ *           oneOf:
+ *             - type: string
+ *             - type: object
+ *               anyOf:
+ *                 - required: [id]
+ *                 - required: [_id]
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 _id:
+ *                   type: string
+ *                 name:
+ *                   type: string
+ *                 price:
+ *                   type: number
+ *         options:
+ *           type: array
+ *           description: |
+ *             Chosen options, sent as option ids (or the options of a previous order).
+ *             Every option group of the food must get between minSelect and maxSelect of them.
+ *           items:
+ *             oneOf:
+ *               - type: string
+ *               - $ref: '#/components/schemas/OrderItemOption'
  *         quantity:
- *           type: number
+ *           type: integer
+ *           minimum: 1
  *         price:
  *           type: number
+ *           description: Food price plus option price deltas, times quantity
+ *
+ *     OrderItemOption:
+ *       type: object
+ *       properties:
+ *         group:
+ *           type: string
+ *         groupName:
+ *           type: string
+ *         option:
+ *           type: string
+ *         name:
+ *           type: string
+ *         priceDelta:
+ *           type: number
+ *
+ *     OrderDelivery:
+ *       type: object
+ *       properties:
+ *         zone:
+ *           type: string
+ *         distanceKm:
+ *           type: number
+ *         fee:
+ *           type: number
+ *
+ *     OrderDiscount:
+ *       type: object
+ *       properties:
+ *         coupon:
+ *           type: string
+ *         code:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [PERCENTAGE, FIXED_AMOUNT, FREE_DELIVERY, BUY_X_GET_Y]
+ *         description:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           description: Taken off the items subtotal
+ *         deliveryAmount:
+ *           type: number
+ *           description: Taken off the delivery fee
  *
  *     Order:
  *       type: object
@@ -39,18 +180,64 @@ router.use(auth);
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/OrderItem'
+ *         subtotal:
+ *           type: number
+ *           description: Items total before discounts
+ *         delivery:
+ *           $ref: '#/components/schemas/OrderDelivery'
+ *         discount:
+ *           $ref: '#/components/schemas/OrderDiscount'
  *         totalPrice:
  *           type: number
+ *           description: Amount to pay, subtotal plus delivery fee minus discounts
  *         paymentId:
  *           type: string
+ *         paymentRequest:
+ *           $ref: '#/components/schemas/PaymentRequest'
  *         status:
  *           type: string
- *           enum: [NEW, PAID, FAILED]
+ *           enum: [PENDING, PAID, SHIPPED, DELIVERED, FAILED, CANCELLED]
+ *         statusData:
+ *           type: object
+ *           properties:
+ *             history:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StatusChange'
+ *         courierLocation:
+ *           $ref: '#/components/schemas/CourierLocation'
  *         user:
  *           type: string
  *         createdAt:
  *           type: string
  *           format: date-time
+ *
+ *     CourierLocation:
+ *       type: object
+ *       properties:
+ *         lat:
+ *           type: number
+ *         lng:
+ *           type: number
+ *         at:
+ *           type: string
+ *           format: date-time
+ *
+ *     AddressLatLng:
+ *       type: object
+ *       description: Delivery location, coordinates are accepted as numbers or numeric strings
+ *       required:
+ *         - lat
+ *         - lng
+ *       properties:
+ *         lat:
+ *           oneOf:
+ *             - type: number
+ *             - type: string
+ *         lng:
+ *           oneOf:
+ *             - type: number
+ *             - type: string
  */
 
 /**
@@ -69,11 +256,25 @@ router.use(auth);
  *             type: object
  *             required:
  *               - items
+ *               - name
+ *               - address
+ *               - addressLatLng
  *             properties:
+ *               name:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               addressLatLng:
+ *                 $ref: '#/components/schemas/AddressLatLng'
  *               items:
  *                 type: array
+ *                 minItems: 1
+ *                 description: Only food id and quantity are read, prices are taken from the catalog
  *                 items:
  *                   $ref: '#/components/schemas/OrderItem'
+ *               couponCode:
+ *                 type: string
+ *                 description: Promo code applied to the order, see /api/coupons/validate
  *     responses:
  *       200:
  *         description: Order created successfully
@@ -82,25 +283,83 @@ router.use(auth);
  *             schema:
  *               $ref: '#/components/schemas/Order'
  *       400:
- *         description: Cart Is Empty!
+ *         description: |
+ *           Cart is empty (CART_EMPTY), contains invalid or unavailable items (INVALID_ORDER_ITEMS), the
+ *           address is outside the delivery zones (OUTSIDE_DELIVERY_ZONE) or the coupon cannot be used
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Email address is not verified yet
+ *       404:
+ *         description: Coupon not found
+ *       409:
+ *         description: Coupon usage limit reached or an item sold out while ordering (OUT_OF_STOCK)
+ *       429:
+ *         description: Too many orders created, see the Retry-After header
  */
 router.post(
     '/create',
+    rateLimit('orderCreate'),
+    verifiedEmail,
     handler(async (req, res) => {
-        const order = req.body;
-        if (order.items.length <= 0) res.status(BAD_REQUEST).send('Cart Is Empty!');
+        const { name, address, addressLatLng, items, couponCode } = req.body;
 
-        const newOrder = new OrderModel({ ...order, user: req.user.id });
-        await newOrder.save();
+        const newOrder = await createOrder({
+            userId: req.user.id,
+            name,
+            address,
+            addressLatLng,
+            items,
+            couponCode,
+        });
         res.send(newOrder);
     })
 );
 
+/**
+ * @swagger
+ * /api/orders/paymentRequest:
+ *   post:
+ *     summary: Issue a Solana payment request for the current pending order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Payment request for the order, the same one is returned on repeated calls
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaymentRequest'
+ *       404:
+ *         description: No pending order
+ *       503:
+ *         description: Solana payments are not configured (PAYMENTS_NOT_CONFIGURED)
+ */
+router.post(
+    '/paymentRequest',
+    handler(async (req, res) => {
+        const order = await getNewOrderForCurrentUser(req);
+
+        if (!order.paymentRequest) {
+            order.paymentRequest = createPaymentRequest(order);
+            await order.save();
+        }
+
+        res.send(order.paymentRequest);
+    })
+);
+
 /**
  * @swagger
  * /api/orders/pay:
  *   put:
  *     summary: Pay for an order
+ *     description: |
+ *       Verifies the submitted Solana transaction against the order's payment request
+ *       (signatures, reference, recipient and amount) before marking the order PAID.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -115,6 +374,7 @@ router.post(
  *             properties:
  *               paymentId:
  *                 type: string
+ *                 description: Base58 signature of the payment transaction
  *     responses:
  *       200:
  *         description: Order paid successfully
@@ -123,23 +383,26 @@ router.post(
  *             schema:
  *               type: string
  *       400:
- *         description: Order Not Found!
+ *         description: Payment could not be verified
+ *       404:
+ *         description: No pending order
+ *       409:
+ *         description: Order can no longer be paid or transaction already used
  */
 router.put(
     '/pay',
     handler(async (req, res) => {
         const { paymentId } = req.body;
         const order = await getNewOrderForCurrentUser(req);
-        if (!order) {
-            res.status(BAD_REQUEST).send('Order Not Found!');
-            return;
-        }
 
-        order.paymentId = paymentId;
-        order.status = OrderStatus.PAYED;
-        await order.save();
+        const paidOrder = await payOrder({
+            order,
+            signature: paymentId,
+            by: req.user.id,
+            canManage: hasPermission(req.user, Permissions.ORDERS_MANAGE),
+        });
 
-        res.send(order._id);
+        res.send(paidOrder._id);
     })
 );
 
@@ -164,28 +427,141 @@ router.put(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Order'
- *       401:
- *         description: Unauthorized access
+ *       404:
+ *         description: Order not found
  */
 router.get(
     '/track/:orderId',
+    handler(async (req, res) => {
+        const order = await findTrackedOrder(req, req.params.orderId);
+        res.send(order);
+    })
+);
+
+/**
+ * @swagger
+ * /api/orders/track/{orderId}/stream:
+ *   get:
+ *     summary: Stream status changes and courier location of an order
+ *     description: |
+ *       Server-Sent Events stream for the order owner and users with orders:viewAll.
+ *       Clients first receive a `snapshot` event with the current status, history and
+ *       courier location, then `status` events (data is a StatusChange) and `location`
+ *       events (data is a CourierLocation) as they happen. Once the order reaches a final
+ *       status an `end` event is sent and the stream is closed.
+ *
+ *       Reconnecting clients send the `Last-Event-ID` header (EventSource does this
+ *       automatically) and get the events they missed instead of a new snapshot, when
+ *       they are still known. Reconnecting to a finished order answers 204 so that
+ *       EventSource stops retrying. A comment line is sent periodically as heartbeat.
+ *       On every heartbeat the token is checked again, the stream is closed once it has
+ *       expired or was revoked, or the user was blocked.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Access token for clients that cannot set the access_token header, such as EventSource.
+ *           URLs are written to proxy and server logs, so the header is preferred where possible.
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Fallback for the Last-Event-ID header
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       204:
+ *         description: The order is finished, nothing more will be streamed
+ *       404:
+ *         description: Order not found
+ */
+router.get(
+    '/track/:orderId/stream',
     handler(async (req, res) => {
         const { orderId } = req.params;
-        const user = await UserModel.findById(req.user.id);
+        const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
 
-        const filter = {
-            _id: orderId,
-        };
+        // Subscribe before loading the order so that no change made in between is lost,
+        // events arriving until the stream is open are queued.
+        const queued = [];
+        let forward = event => queued.push(event);
+        const unsubscribe = subscribeToOrder(orderId, event => forward(event));
+
+        let order;
+        try {
+            order = await findTrackedOrder(req, orderId);
+        } catch (error) {
+            unsubscribe();
+            throw error;
+        }
 
-        if (!user.isAdmin) {
-            filter.user = user._id;
+        if (lastEventId && isFinalStatus(order.status)) {
+            unsubscribe();
+            res.status(204).end();
+            return;
         }
 
-        const order = await OrderModel.findOne(filter);
+        // Access is checked again on every heartbeat, so revoked tokens and blocked users
+        // stop receiving updates.
+        const checkAccess = async () => {
+            try {
+                await checkAccessToken(req.user);
+            } catch {
+                stream.close();
+            }
+        };
+        const stream = openEventStream(req, res, { onClose: unsubscribe, onHeartbeat: checkAccess });
+        const sent = new Set();
 
-        if (!order) return res.send(UNAUTHORIZED);
+        const end = () => {
+            stream.send({ id: nextEventId(), event: 'end', data: { status: order.status } });
+            stream.close();
+        };
+
+        const send = event => {
+            if (sent.has(event.id)) return;
+            sent.add(event.id);
+            stream.send({ id: event.id, event: event.type, data: event.data });
 
-        return res.send(order);
+            if (event.type === OrderEventType.STATUS && isFinalStatus(event.data.to)) {
+                order.status = event.data.to;
+                end();
+            }
+        };
+
+        const missed = lastEventId ? getOrderEventsSince(order._id, lastEventId) : null;
+        if (missed) {
+            missed.forEach(send);
+        } else {
+            stream.send({
+                id: nextEventId(),
+                event: 'snapshot',
+                data: {
+                    status: order.status,
+                    history: order.statusData?.history ?? [],
+                    courierLocation: order.courierLocation ?? null,
+                },
+            });
+        }
+
+        queued.forEach(send);
+        forward = send;
+
+        if (isFinalStatus(order.status)) end();
     })
 );
 
@@ -194,6 +570,7 @@ router.get(
  * /api/orders/order/{orderId}:
  *   get:
  *     summary: Get order details by ID
+ *     description: Available to the order owner and users with orders:viewAll.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -210,29 +587,14 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Order'
- *       400:
- *         description: Order not found
- *       500:
- *         description: Internal Server Error
+ *       404:
+ *         description: Order not found, or not visible to the user
  */
 router.get(
     '/order/:orderId',
     handler(async (req, res) => {
-        const {orderId} = req.params;
-        try {
-            let order = await getOrder(orderId);
-            if (!order) {
-                await new Promise(resolve => setTimeout(resolve, 5));
-                order = await getOrder(req);
-            }
-            if (!order) {
-                return res.status(BAD_REQUEST).send();
-            }
-            return res.send(order);
-        } catch (error) {
-            console.error('Error fetching order:', error);
-            return res.status(500).send('Internal Server Error');
-        }
+        const order = await findTrackedOrder(req, req.params.orderId);
+        res.send(order);
     })
 );
 
@@ -253,18 +615,83 @@ router.get(
  *               type: array
  *               items:
  *                 type: string
- *                 enum: [NEW, PAID, FAILED]
+ *                 enum: [PENDING, PAID, SHIPPED, DELIVERED, FAILED, CANCELLED]
  */
 router.get('/allstatus', (req, res) => {
     const allStatus = Object.values(OrderStatus);
     res.send(allStatus);
 });
 
+/**
+ * @swagger
+ * /api/orders/{id}/location:
+ *   put:
+ *     summary: Update the courier location of a shipped order (requires orders:manage)
+ *     description: The new location is pushed to clients streaming the order.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - lat
+ *               - lng
+ *             properties:
+ *               lat:
+ *                 type: number
+ *                 minimum: -90
+ *                 maximum: 90
+ *               lng:
+ *                 type: number
+ *                 minimum: -180
+ *                 maximum: 180
+ *     responses:
+ *       200:
+ *         description: Location updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order is not SHIPPED
+ */
+router.put(
+    '/:id/location',
+    requirePermission(Permissions.ORDERS_MANAGE),
+    handler(async (req, res) => {
+        const { id } = req.params;
+        const { lat, lng } = req.body;
+        const order = isValidObjectId(id) ? await OrderModel.findById(id) : null;
+
+        const updated = await updateCourierLocation(order, { lat, lng });
+        res.send(updated);
+    })
+);
+
 /**
  * @swagger
  * /api/orders/{id}/status:
  *   put:
  *     summary: Update order status
+ *     description: |
+ *       Moves the order along its lifecycle
+ *       (PENDING → PAID → SHIPPED → DELIVERED, with FAILED and CANCELLED branches).
+ *       Customers can only update their own orders and only while they are PENDING;
+ *       every later transition requires orders:manage. Customers pay through
+ *       `/api/orders/pay`, so only staff with orders:manage can set PAID here. `isPaid` and `isExpired` are kept as
+ *       shortcuts for `status: PAID` and `status: FAILED`.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -281,6 +708,11 @@ router.get('/allstatus', (req, res) => {
  *           schema:
  *             type: object
  *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [PAID, SHIPPED, DELIVERED, FAILED, CANCELLED]
+ *               reason:
+ *                 type: string
  *               isPaid:
  *                 type: boolean
  *               isExpired:
@@ -301,55 +733,159 @@ router.get('/allstatus', (req, res) => {
  *                   $ref: '#/components/schemas/Order'
  *       400:
  *         description: Invalid status update
+ *       403:
+ *         description: Missing orders:manage to mark the order paid or move it past PAID
  *       404:
  *         description: Order not found
- *       500:
- *         description: Internal Server Error
+ *       409:
+ *         description: Transition not allowed from the current status
  */
-router.put('/:id/status', async (req, res, next) => {
-    try {
+router.put(
+    '/:id/status',
+    handler(async (req, res) => {
         const { id } = req.params;
-        const { isPaid, isExpired } = req.body;
+        const { reason } = req.body;
+        const newStatus = resolveRequestedStatus(req.body);
 
-        let newStatus;
-        if (isExpired) {
-            newStatus = OrderStatus.FAILED;
-        } else if (isPaid) {
-            newStatus = OrderStatus.PAID;
-        } else {
-            return res.status(400).send({
-                error: true,
-                message: 'Invalid status update. Either isPaid or isExpired must be true.',
-            });
+        if (!newStatus) {
+            throw new BadRequestError(
+                'Invalid status update. Either status, isPaid or isExpired must be set.',
+                { code: 'INVALID_STATUS_UPDATE' }
+            );
         }
 
-        const order = await OrderModel.findByIdAndUpdate(
-            id,
-            { status: newStatus },
-            { new: true }
-        );
+        const canManage = hasPermission(req.user, Permissions.ORDERS_MANAGE);
 
-        if (!order) {
-            return res.status(404).send({
-                error: true,
-                message: 'Order not found',
+        if (newStatus === OrderStatus.PAID && !canManage) {
+            throw new ForbiddenError('Orders are marked as paid through /api/orders/pay', {
+                code: 'PAY_THROUGH_CHECKOUT',
             });
         }
 
-        return res.status(200).send({
+        const filter = { _id: id };
+        if (!canManage) filter.user = req.user.id;
+
+        const order = isValidObjectId(id) ? await OrderModel.findOne(filter) : null;
+
+        const updated = await transitionOrderStatus({
+            order,
+            to: newStatus,
+            by: req.user.id,
+            reason,
+            canManage,
+        });
+
+        res.send({
             success: true,
             message: `Order status updated to ${newStatus}`,
-            data: order,
+            data: updated,
         });
-    } catch (err) {
-        console.error('Error updating order status:', err);
-        return res.status(500).send({
-            error: true,
-            message: 'An internal server error occurred',
-        });
-    }
+    })
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OrderExpiryRun:
+ *       type: object
+ *       properties:
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *         triggeredBy:
+ *           type: string
+ *           nullable: true
+ *         cutoff:
+ *           type: string
+ *           format: date-time
+ *           description: PENDING orders created before this moment were expired
+ *         expired:
+ *           type: array
+ *           items:
+ *             type: string
+ *         failed:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               message:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/orders/expiry:
+ *   get:
+ *     summary: Get the unpaid order expiry settings and last run (requires orders:manage)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Expiry sweeper status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ttlMinutes:
+ *                   type: number
+ *                 intervalMinutes:
+ *                   type: number
+ *                 enabled:
+ *                   type: boolean
+ *                 running:
+ *                   type: boolean
+ *                 nextRunAt:
+ *                   type: string
+ *                   format: date-time
+ *                 lastRun:
+ *                   $ref: '#/components/schemas/OrderExpiryRun'
+ */
+router.get('/expiry', requirePermission(Permissions.ORDERS_MANAGE), (req, res) => {
+    res.send(getOrderExpiryStatus());
 });
 
+/**
+ * @swagger
+ * /api/orders/expiry/run:
+ *   post:
+ *     summary: Expire unpaid PENDING orders now (requires orders:manage)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Result of the sweep
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderExpiryRun'
+ */
+router.post(
+    '/expiry/run',
+    requirePermission(Permissions.ORDERS_MANAGE),
+    handler(async (req, res) => {
+        const result = await runOrderExpirySweep({ triggeredBy: req.user.id });
+        res.send(result);
+    })
+);
+
+const ORDER_FILTERS = {
+    status: { field: 'status', type: 'list' },
+    from: { field: 'createdAt', type: 'date', op: '$gte' },
+    to: { field: 'createdAt', type: 'date', op: '$lte' },
+    user: { field: 'user', type: 'objectId' },
+};
+
+const ORDER_SORT_FIELDS = ['createdAt', 'totalPrice', 'status'];
+
 /**
  * @swagger
  * /api/orders/{status}:
@@ -364,33 +900,104 @@ router.put('/:id/status', async (req, res, next) => {
  *         required: false
  *         schema:
  *           type: string
- *           enum: [NEW, PAID, FAILED]
+ *           enum: [PENDING, PAID, SHIPPED, DELIVERED, FAILED, CANCELLED]
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: Comma-separated fields, prefix with - for descending (createdAt, totalPrice, status)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated statuses, ignored when the status path parameter is set
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only orders created at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only orders created at or before this date
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Id of the ordering user, only applied with orders:viewAll
  *     responses:
  *       200:
- *         description: List of orders
+ *         description: Page of orders
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Order'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  */
 router.get(
     '/:status?',
     handler(async (req, res) => {
         const status = req.params.status;
-        const user = await UserModel.findById(req.user.id);
         const filter = {};
 
-        if (!user.isAdmin) filter.user = user._id;
+        if (!hasPermission(req.user, Permissions.ORDERS_VIEW_ALL)) filter.user = req.user.id;
         if (status) filter.status = status;
 
-        const orders = await OrderModel.find(filter).sort('-createdAt');
-        res.send(orders);
+        const page = await findPage({
+            model: OrderModel,
+            req,
+            filter,
+            filterSpec: ORDER_FILTERS,
+            sortFields: ORDER_SORT_FIELDS,
+            defaultSort: '-createdAt',
+        });
+
+        res.send(page);
     })
 );
 
-const getOrder = async (orderId) =>
-    await OrderModel.findById(orderId);
+// Owners see their own orders, users with orders:viewAll every order.
+const findTrackedOrder = async (req, orderId) => {
+    const filter = {
+        _id: orderId,
+    };
+
+    if (!hasPermission(req.user, Permissions.ORDERS_VIEW_ALL)) {
+        filter.user = req.user.id;
+    }
+
+    const order = isValidObjectId(orderId) ? await OrderModel.findOne(filter) : null;
+    if (!order) throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+    return order;
+};
+
+const getNewOrderForCurrentUser = async req => {
+    const order = await OrderModel.findOne({
+        user: req.user.id,
+        status: OrderStatus.PENDING,
+    }).sort('-createdAt');
+
+    if (!order) throw new NotFoundError('Order Not Found!', { code: 'ORDER_NOT_FOUND' });
+    return order;
+};
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,221 @@
+import { Router } from 'express';
+import crypto from 'crypto';
+import { isValidObjectId } from 'mongoose';
+import handler from 'express-async-handler';
+import {
+    BadRequestError,
+    HttpError,
+    NotFoundError,
+    UnauthorizedError,
+} from '../errors/http.error.js';
+import { DUPLICATE_KEY_ERROR } from '../constants/mongoErrorCodes.js';
+import { OrderModel } from '../models/order.model.js';
+import { PaymentEventModel, PaymentEventOutcome } from '../models/paymentEvent.model.js';
+import {
+    resolveRequestedStatus,
+    transitionOrderStatus,
+} from '../services/order.service.js';
+import { paymentAlreadyUsed } from '../services/payment.service.js';
+
+const router = Router();
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+
+// Provider event types mapped to the body `PUT /api/orders/:id/status` accepts.
+const EVENT_STATUS_UPDATES = {
+    'payment.succeeded': { isPaid: true },
+    'payment.expired': { isExpired: true },
+    'payment.failed': { isExpired: true },
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PaymentEvent:
+ *       type: object
+ *       required:
+ *         - id
+ *         - type
+ *         - data
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Unique event id, deliveries with a known id are ignored
+ *         type:
+ *           type: string
+ *           enum: [payment.succeeded, payment.expired, payment.failed]
+ *         data:
+ *           type: object
+ *           required:
+ *             - orderId
+ *           properties:
+ *             orderId:
+ *               type: string
+ *             paymentId:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /api/payments/webhook:
+ *   post:
+ *     summary: Receive a payment provider notification
+ *     description: |
+ *       The `X-Webhook-Signature` header must hold the hex HMAC-SHA256 of the raw request
+ *       body, keyed with the shared webhook secret (an optional `sha256=` prefix is accepted).
+ *       Every delivery is recorded for audit, so the body is not validated up front.
+ *     tags: [Payments]
+ *     x-validate: false
+ *     parameters:
+ *       - in: header
+ *         name: X-Webhook-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PaymentEvent'
+ *     responses:
+ *       200:
+ *         description: Event processed, or already processed before
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 received:
+ *                   type: boolean
+ *                 duplicate:
+ *                   type: boolean
+ *                 status:
+ *                   type: string
+ *       400:
+ *         description: Malformed or unsupported event
+ *       401:
+ *         description: Missing or invalid signature
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: |
+ *           Event does not fit the current order status, or its paymentId already paid another
+ *           order (PAYMENT_ALREADY_USED). The delivery is recorded as rejected.
+ */
+router.post(
+    '/webhook',
+    handler(async (req, res) => {
+        const event = req.body ?? {};
+        const audit = {
+            claimedEventId: event.id,
+            type: event.type,
+            orderId: event.data?.orderId,
+            payload: event,
+            ip: req.ip,
+        };
+
+        if (!isValidSignature(req.rawBody, req.get(SIGNATURE_HEADER))) {
+            const error = new UnauthorizedError('Invalid signature', { code: 'INVALID_WEBHOOK_SIGNATURE' });
+            await PaymentEventModel.create({
+                ...audit,
+                signatureValid: false,
+                outcome: PaymentEventOutcome.REJECTED,
+                responseStatus: error.status,
+                reason: error.message,
+            });
+            throw error;
+        }
+
+        if (!event.id) {
+            const error = new BadRequestError('Missing event id', { code: 'MISSING_EVENT_ID' });
+            await PaymentEventModel.create({
+                ...audit,
+                signatureValid: true,
+                outcome: PaymentEventOutcome.REJECTED,
+                responseStatus: error.status,
+                reason: error.message,
+            });
+            throw error;
+        }
+
+        let record;
+        try {
+            record = await PaymentEventModel.create({
+                ...audit,
+                eventId: event.id,
+                signatureValid: true,
+                outcome: PaymentEventOutcome.PROCESSING,
+            });
+        } catch (error) {
+            if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+
+            const previous = await PaymentEventModel.findOne({ eventId: event.id });
+            res.send({ received: true, duplicate: true, status: previous?.outcome });
+            return;
+        }
+
+        try {
+            const order = await applyEvent(event);
+            record.outcome = PaymentEventOutcome.PROCESSED;
+            record.responseStatus = 200;
+            record.reason = `Order status updated to ${order.status}`;
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                // Let the provider retry the delivery.
+                await PaymentEventModel.deleteOne({ _id: record._id });
+                throw error;
+            }
+
+            record.outcome = PaymentEventOutcome.REJECTED;
+            record.responseStatus = error.status;
+            record.reason = error.message;
+            await record.save();
+            throw error;
+        }
+
+        await record.save();
+        res.send({ received: true, duplicate: false, status: record.outcome });
+    })
+);
+
+const isValidSignature = (rawBody, header) => {
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+    if (!secret || !rawBody || !header) return false;
+
+    const received = Buffer.from(header.replace(/^sha256=/, ''), 'hex');
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+
+    return received.length === expected.length
+        && crypto.timingSafeEqual(received, expected);
+};
+
+// Resolves to the updated order, throws an HttpError when the event is rejected.
+const applyEvent = async event => {
+    const update = EVENT_STATUS_UPDATES[event.type];
+    if (!update) {
+        throw new BadRequestError(`Unsupported event type ${event.type}`, { code: 'UNSUPPORTED_EVENT' });
+    }
+
+    const { orderId, paymentId } = event.data ?? {};
+    const order = isValidObjectId(orderId) ? await OrderModel.findById(orderId) : null;
+    if (!order) {
+        throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+    }
+
+    try {
+        return await transitionOrderStatus({
+            order,
+            to: resolveRequestedStatus(update),
+            reason: `Payment webhook ${event.type} (${event.id})`,
+            extra: paymentId ? { paymentId } : {},
+        });
+    } catch (error) {
+        // Another order already holds the paymentId, retrying would not change that.
+        if (error.code === DUPLICATE_KEY_ERROR) throw paymentAlreadyUsed();
+        throw error;
+    }
+};
+
+export default router;
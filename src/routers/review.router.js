@@ -0,0 +1,320 @@
+import { Router } from 'express';
+import handler from 'express-async-handler';
+import auth from '../middleware/auth.mid.js';
+import optionalAuth from '../middleware/optionalAuth.mid.js';
+import requirePermission from '../middleware/permission.mid.js';
+import { Permissions } from '../constants/roles.js';
+import { hasPermission } from '../services/role.service.js';
+import { ForbiddenError } from '../errors/http.error.js';
+import { ReviewModel } from '../models/review.model.js';
+import { findPage } from '../services/query.service.js';
+import { findFoodOrThrow } from '../services/food.service.js';
+import {
+    deleteReview,
+    findReviewOrThrow,
+    moderateReview,
+    saveReview,
+} from '../services/review.service.js';
+
+// Mounted under /api/foods/:foodId/reviews.
+const router = Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         food:
+ *           type: string
+ *         user:
+ *           type: string
+ *         userName:
+ *           type: string
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         comment:
+ *           type: string
+ *         hidden:
+ *           type: boolean
+ *         moderation:
+ *           type: object
+ *           description: Last moderation of the review
+ *           properties:
+ *             by:
+ *               type: string
+ *             reason:
+ *               type: string
+ *             at:
+ *               type: string
+ *               format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const REVIEW_FILTERS = {
+    rating: { field: 'rating', type: 'number' },
+    minRating: { field: 'rating', type: 'number', op: '$gte' },
+};
+
+const REVIEW_SORT_FIELDS = ['createdAt', 'rating'];
+
+// Listings are public, who wrote a review is only shown by name.
+const PUBLIC_REVIEW_PROJECTION = { user: 0, order: 0 };
+
+/**
+ * @swagger
+ * /api/foods/{foodId}/reviews:
+ *   get:
+ *     summary: Get the reviews of a food, paginated
+ *     description: Reviews are listed without the `user` and `order` ids of their authors.
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: foodId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: Comma-separated fields, prefix with - for descending (createdAt, rating)
+ *       - in: query
+ *         name: rating
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *       - in: query
+ *         name: includeHidden
+ *         schema:
+ *           type: boolean
+ *         description: Also list hidden reviews, only applied with reviews:moderate
+ *     responses:
+ *       200:
+ *         description: Page of reviews
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: Food not found
+ *
+ *   post:
+ *     summary: Review a food
+ *     description: |
+ *       Only foods the user received in a DELIVERED order can be reviewed. Every user has
+ *       one review per food, posting again updates it. The food's `stars` and `ratingCount`
+ *       are recomputed from the visible reviews.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: foodId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Review saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       403:
+ *         description: The food was not in any delivered order of the user (REVIEW_NOT_ALLOWED)
+ *       404:
+ *         description: Food not found
+ */
+router.get(
+    '/',
+    optionalAuth,
+    handler(async (req, res) => {
+        const food = await findFoodOrThrow(req.params.foodId);
+        const filter = { food: food._id };
+
+        const canModerate = req.user && hasPermission(req.user, Permissions.REVIEWS_MODERATE);
+        if (!(canModerate && req.query.includeHidden === 'true')) filter.hidden = false;
+
+        const page = await findPage({
+            model: ReviewModel,
+            req,
+            filter,
+            filterSpec: REVIEW_FILTERS,
+            sortFields: REVIEW_SORT_FIELDS,
+            defaultSort: '-createdAt',
+            projection: PUBLIC_REVIEW_PROJECTION,
+        });
+
+        res.send(page);
+    })
+);
+
+router.post(
+    '/',
+    auth,
+    handler(async (req, res) => {
+        const { rating, comment } = req.body;
+
+        const review = await saveReview({
+            foodId: req.params.foodId,
+            userId: req.user.id,
+            rating,
+            comment,
+        });
+        res.send(review);
+    })
+);
+
+/**
+ * @swagger
+ * /api/foods/{foodId}/reviews/{reviewId}:
+ *   delete:
+ *     summary: Delete a review
+ *     description: Users can delete their own reviews, reviews:moderate allows deleting any.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: foodId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ *       403:
+ *         description: Review of another user
+ *       404:
+ *         description: Review not found
+ */
+router.delete(
+    '/:reviewId',
+    auth,
+    handler(async (req, res) => {
+        const { foodId, reviewId } = req.params;
+        const review = await findReviewOrThrow(foodId, reviewId);
+
+        const isOwner = String(review.user) === String(req.user.id);
+        if (!isOwner && !hasPermission(req.user, Permissions.REVIEWS_MODERATE)) {
+            throw new ForbiddenError('Only your own reviews can be deleted', { code: 'NOT_REVIEW_OWNER' });
+        }
+
+        await deleteReview(review);
+        res.send();
+    })
+);
+
+/**
+ * @swagger
+ * /api/foods/{foodId}/reviews/{reviewId}/moderation:
+ *   put:
+ *     summary: Hide or show a review (requires reviews:moderate)
+ *     description: Hidden reviews are left out of listings and of the food rating.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: foodId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hidden
+ *             properties:
+ *               hidden:
+ *                 type: boolean
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       404:
+ *         description: Review not found
+ */
+router.put(
+    '/:reviewId/moderation',
+    requirePermission(Permissions.REVIEWS_MODERATE),
+    handler(async (req, res) => {
+        const { foodId, reviewId } = req.params;
+        const { hidden, reason } = req.body;
+        const review = await findReviewOrThrow(foodId, reviewId);
+
+        const updated = await moderateReview(review, { hidden, reason, by: req.user.id });
+        res.send(updated);
+    })
+);
+
+export default router;
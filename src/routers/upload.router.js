@@ -1,8 +1,10 @@
 import { Router } from 'express';
-import admin from '../middleware/admin.mid.js';
+import requirePermission from '../middleware/permission.mid.js';
+import { Permissions } from '../constants/roles.js';
+import rateLimit from '../middleware/rateLimit.mid.js';
 import multer from 'multer';
 import handler from 'express-async-handler';
-import { BAD_REQUEST } from '../constants/httpStatus.js';
+import { BadRequestError } from '../errors/http.error.js';
 import { configCloudinary } from '../config/cloudinary.config.js';
 
 const router = Router();
@@ -25,7 +27,7 @@ const upload = multer();
  * @swagger
  * /api/upload:
  *   post:
- *     summary: Upload an image (Admin only)
+ *     summary: Upload an image (requires upload:images)
  *     tags: [Upload]
  *     security:
  *       - bearerAuth: []
@@ -52,20 +54,22 @@ const upload = multer();
  *       400:
  *         description: No file uploaded or invalid file
  *       401:
- *         description: Unauthorized - Admin access required
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing upload:images permission
+ *       429:
+ *         description: Too many uploads, see the Retry-After header
  *       500:
  *         description: Upload to Cloudinary failed
  */
 router.post(
     '/',
-    admin,
+    requirePermission(Permissions.UPLOAD_IMAGES),
+    rateLimit('upload'),
     upload.single('image'),
     handler(async (req, res) => {
         const file = req.file;
-        if (!file) {
-            res.status(BAD_REQUEST).send();
-            return;
-        }
+        if (!file) throw new BadRequestError('No image uploaded', { code: 'FILE_MISSING' });
 
         const imageUrl = await uploadImageToCloudinary(req.file?.buffer);
         res.send({ imageUrl });
@@ -1,13 +1,47 @@
 import { Router } from 'express';
-import jwt from 'jsonwebtoken';
 const router = Router();
-import { BAD_REQUEST } from '../constants/httpStatus.js';
+import {
+    BadRequestError,
+    ConflictError,
+    ForbiddenError,
+    NotFoundError,
+    TooManyRequestsError,
+    UnauthorizedError,
+} from '../errors/http.error.js';
 import handler from 'express-async-handler';
 import { UserModel } from '../models/user.model.js';
+import { FoodModel, NOT_ARCHIVED } from '../models/food.model.js';
 import bcrypt from 'bcryptjs';
 import auth from '../middleware/auth.mid.js';
-import admin from '../middleware/admin.mid.js';
+import requirePermission from '../middleware/permission.mid.js';
+import { Permissions, RolePermissions, Roles } from '../constants/roles.js';
+import { getUserRoles } from '../services/role.service.js';
+import { findPage } from '../services/query.service.js';
+import { buildPrefixFilter, tokenize } from '../services/search.service.js';
+import {
+    consumeUserToken,
+    createUserToken,
+    generateAccessToken,
+    issueTokens,
+    revokeRefreshToken,
+    revokeUserTokens,
+    rotateRefreshToken,
+} from '../services/token.service.js';
+import { invalidateUserStatus, refreshBlock } from '../services/userStatus.service.js';
+import { sendEmailVerificationMail, sendPasswordResetMail } from '../services/mail.service.js';
+import { UserTokenType } from '../models/userToken.model.js';
+import rateLimit from '../middleware/rateLimit.mid.js';
+import { CART_ID_HEADER, mergeGuestCart } from '../services/cart.service.js';
+import { getFavoriteIds } from '../services/favorite.service.js';
+import { withAvailability } from '../services/inventory.service.js';
+import {
+    clearLoginFailures,
+    getLoginRetryAfter,
+    recordLoginFailure,
+} from '../services/loginGuard.service.js';
 const PASSWORD_HASH_SALT_ROUNDS = 10;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
 
 /**
  * @swagger
@@ -31,10 +65,27 @@ const PASSWORD_HASH_SALT_ROUNDS = 10;
  *           type: string
  *         isAdmin:
  *           type: boolean
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [ADMIN, KITCHEN, CATALOG_MANAGER, SUPPORT, CUSTOMER]
+ *         emailVerified:
+ *           type: boolean
+ *           description: False until the user confirmed their email, ordering is disabled meanwhile
  *         isBlocked:
  *           type: boolean
+ *         blockReason:
+ *           type: string
+ *         blockedUntil:
+ *           type: string
+ *           format: date-time
  *         token:
  *           type: string
+ *           description: Short-lived access token, send it in the access_token header
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use token for /api/users/refresh, rotated on every refresh
  */
 
 /**
@@ -42,7 +93,10 @@ const PASSWORD_HASH_SALT_ROUNDS = 10;
  * /api/users/login:
  *   post:
  *     summary: Login user
+ *     description: An anonymous cart sent in the cart_id header is merged into the user's cart.
  *     tags: [Users]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartId'
  *     requestBody:
  *       required: true
  *       content:
@@ -67,19 +121,59 @@ const PASSWORD_HASH_SALT_ROUNDS = 10;
  *               $ref: '#/components/schemas/User'
  *       400:
  *         description: Username or password is invalid
+ *       429:
+ *         description: |
+ *           Too many attempts. Repeated failed passwords lock the account and the IP
+ *           for a growing time, see the Retry-After header.
+ *       403:
+ *         description: Account is blocked
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Problem'
+ *                 - type: object
+ *                   properties:
+ *                     reason:
+ *                       type: string
+ *                     blockedUntil:
+ *                       type: string
+ *                       format: date-time
  */
 router.post(
     '/login',
+    rateLimit('login'),
     handler(async (req, res) => {
         const { email, password } = req.body;
+
+        const retryAfter = await getLoginRetryAfter(email, req.ip);
+        if (retryAfter) {
+            throw new TooManyRequestsError('Too many failed login attempts, please try again later', {
+                code: 'LOGIN_LOCKED',
+                extra: { retryAfter },
+                headers: { 'Retry-After': String(retryAfter) },
+            });
+        }
+
         const user = await UserModel.findOne({ email: email });
 
         if (user && (await bcrypt.compare(password, user.password))) {
-            res.send(generateTokenResponse(user));
+            await clearLoginFailures(email, req.ip);
+
+            if (await refreshBlock(user)) {
+                throw new ForbiddenError('Your account is blocked', {
+                    code: 'ACCOUNT_BLOCKED',
+                    extra: { reason: user.blockReason, blockedUntil: user.blockedUntil },
+                });
+            }
+
+            await mergeGuestCart(req.get(CART_ID_HEADER), user._id);
+            res.send(generateTokenResponse(user, await issueTokens(user)));
             return;
         }
 
-        res.status(BAD_REQUEST).send('Username or password is invalid');
+        await recordLoginFailure(email, req.ip);
+        throw new BadRequestError('Username or password is invalid', { code: 'INVALID_CREDENTIALS' });
     })
 );
 
@@ -88,7 +182,10 @@ router.post(
  * /api/users/register:
  *   post:
  *     summary: Register new user
+ *     description: An anonymous cart sent in the cart_id header becomes the user's cart.
  *     tags: [Users]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartId'
  *     requestBody:
  *       required: true
  *       content:
@@ -112,23 +209,25 @@ router.post(
  *                 type: string
  *     responses:
  *       200:
- *         description: User registered successfully
+ *         description: User registered successfully, a verification mail is sent
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
- *       400:
+ *       409:
  *         description: User already exists
+ *       429:
+ *         description: Too many registrations from this IP
  */
 router.post(
     '/register',
+    rateLimit('register'),
     handler(async (req, res) => {
         const { name, email, password, address } = req.body;
         const user = await UserModel.findOne({ email });
 
         if (user) {
-            res.status(BAD_REQUEST).send('User already exists, please login!');
-            return;
+            throw new ConflictError('User already exists, please login!', { code: 'USER_EXISTS' });
         }
 
         const hashedPassword = await bcrypt.hash(password, PASSWORD_HASH_SALT_ROUNDS);
@@ -138,10 +237,267 @@ router.post(
             email: email.toLowerCase(),
             password: hashedPassword,
             address,
+            emailVerified: false,
         };
 
         const result = await UserModel.create(newUser);
-        res.send(generateTokenResponse(result));
+        await sendVerification(result);
+        await mergeGuestCart(req.get(CART_ID_HEADER), result._id);
+        res.send(generateTokenResponse(result, await issueTokens(result)));
+    })
+);
+
+/**
+ * @swagger
+ * /api/users/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: |
+ *       Refresh tokens are single use. Presenting one that was already used revokes
+ *       every token issued from the same login.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New tokens issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Refresh token invalid, expired or reused
+ */
+router.post(
+    '/refresh',
+    handler(async (req, res) => {
+        const { refreshToken } = req.body;
+        const result = await rotateRefreshToken(refreshToken);
+
+        if (result.error) {
+            throw new UnauthorizedError(result.error, { code: 'INVALID_REFRESH_TOKEN' });
+        }
+
+        const user = await UserModel.findById(result.userId);
+        if (!user || (await refreshBlock(user))) {
+            await revokeRefreshToken(result.refreshToken);
+            throw new UnauthorizedError('Invalid refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+        }
+
+        res.send(generateTokenResponse(user, {
+            token: generateAccessToken(user),
+            refreshToken: result.refreshToken,
+        }));
+    })
+);
+
+/**
+ * @swagger
+ * /api/users/logout:
+ *   post:
+ *     summary: Revoke a refresh token and every token rotated from the same login
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ */
+router.post(
+    '/logout',
+    handler(async (req, res) => {
+        const { refreshToken } = req.body;
+        await revokeRefreshToken(refreshToken);
+        res.send();
+    })
+);
+
+/**
+ * @swagger
+ * /api/users/forgotPassword:
+ *   post:
+ *     summary: Mail a password reset link
+ *     description: Always answers the same way, whether or not the email belongs to an account.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ */
+router.post(
+    '/forgotPassword',
+    rateLimit('passwordReset'),
+    handler(async (req, res) => {
+        const { email } = req.body;
+        const user = typeof email === 'string'
+            ? await UserModel.findOne({ email: email.toLowerCase() })
+            : null;
+
+        if (user) {
+            const token = await createUserToken(user._id, UserTokenType.PASSWORD_RESET, PASSWORD_RESET_TTL_MS);
+            try {
+                await sendPasswordResetMail(user, token);
+            } catch (error) {
+                console.log('Sending password reset mail failed:', error);
+            }
+        }
+
+        res.send('If this email is registered, a reset link is on its way');
+    })
+);
+
+/**
+ * @swagger
+ * /api/users/resetPassword:
+ *   post:
+ *     summary: Choose a new password with a token from the reset mail
+ *     description: The token works once and for one hour. Every session of the user is signed out.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Token invalid, used or expired
+ */
+router.post(
+    '/resetPassword',
+    rateLimit('passwordReset'),
+    handler(async (req, res) => {
+        const { token, newPassword } = req.body;
+
+        if (!newPassword || typeof newPassword !== 'string') {
+            throw new BadRequestError('New Password Is Required!', { code: 'PASSWORD_REQUIRED' });
+        }
+
+        const userId = await consumeUserToken(token, UserTokenType.PASSWORD_RESET);
+        const user = userId && await UserModel.findById(userId);
+        if (!user) {
+            throw new BadRequestError('Reset Link Is Invalid Or Expired!', { code: 'INVALID_RESET_TOKEN' });
+        }
+
+        user.password = await bcrypt.hash(newPassword, PASSWORD_HASH_SALT_ROUNDS);
+        user.tokensValidAfter = new Date();
+        await user.save();
+        await revokeUserTokens(user._id);
+        invalidateUserStatus(user._id);
+
+        res.send('success');
+    })
+);
+
+/**
+ * @swagger
+ * /api/users/verifyEmail:
+ *   post:
+ *     summary: Confirm an email address with the token from the verification mail
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Token invalid, used or expired
+ */
+router.post(
+    '/verifyEmail',
+    handler(async (req, res) => {
+        const { token } = req.body;
+        const userId = await consumeUserToken(token, UserTokenType.EMAIL_VERIFICATION);
+
+        const user = userId && await UserModel.findByIdAndUpdate(
+            userId,
+            { emailVerified: true, emailVerifiedAt: new Date() },
+            { new: true }
+        );
+        if (!user) {
+            throw new BadRequestError('Verification Link Is Invalid Or Expired!', {
+                code: 'INVALID_VERIFICATION_TOKEN',
+            });
+        }
+
+        res.send('success');
+    })
+);
+
+/**
+ * @swagger
+ * /api/users/resendVerification:
+ *   post:
+ *     summary: Mail a new email verification link to the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification mail sent
+ *       400:
+ *         description: Email already verified
+ */
+router.post(
+    '/resendVerification',
+    auth,
+    handler(async (req, res) => {
+        const user = await UserModel.findById(req.user.id);
+
+        if (!user || user.emailVerified !== false) {
+            throw new BadRequestError('Email Is Already Verified!', { code: 'EMAIL_ALREADY_VERIFIED' });
+        }
+
+        await sendVerification(user);
+        res.send('success');
     })
 );
 
@@ -186,7 +542,7 @@ router.put(
             { new: true }
         );
 
-        res.send(generateTokenResponse(user));
+        res.send(generateTokenResponse(user, { token: generateAccessToken(user) }));
     })
 );
 
@@ -195,6 +551,10 @@ router.put(
  * /api/users/changePassword:
  *   put:
  *     summary: Change user password
+ *     description: |
+ *       Every session of the user is signed out, including the caller's. The response carries
+ *       new tokens the client must store. It used to be the plain text `success`, clients still
+ *       expecting that have to read the tokens from the response instead.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -214,9 +574,15 @@ router.put(
  *                 type: string
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Password changed, the user with a new access and refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
  *       400:
- *         description: Change password failed
+ *         description: Current password is not correct
+ *       404:
+ *         description: User not found
  */
 router.put(
     '/changePassword',
@@ -226,29 +592,95 @@ router.put(
         const user = await UserModel.findById(req.user.id);
 
         if (!user) {
-            res.status(BAD_REQUEST).send('Change Password Failed!');
-            return;
+            throw new NotFoundError('Change Password Failed!', { code: 'USER_NOT_FOUND' });
         }
 
         const equal = await bcrypt.compare(currentPassword, user.password);
 
         if (!equal) {
-            res.status(BAD_REQUEST).send('Current Password Is Not Correct!');
-            return;
+            throw new BadRequestError('Current Password Is Not Correct!', { code: 'INVALID_CREDENTIALS' });
         }
 
         user.password = await bcrypt.hash(newPassword, PASSWORD_HASH_SALT_ROUNDS);
+        user.tokensValidAfter = new Date();
         await user.save();
+        await revokeUserTokens(user._id);
+        invalidateUserStatus(user._id);
 
-        res.send('success');
+        res.send(generateTokenResponse(user, await issueTokens(user)));
     })
 );
 
+/**
+ * @swagger
+ * /api/users/me/favorites:
+ *   get:
+ *     summary: Get the caller's favorite foods, paginated
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: name
+ *         description: Comma-separated fields, prefix with - for descending (name, price, stars, createdAt)
+ *     responses:
+ *       200:
+ *         description: Page of favorite foods
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Food'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.get(
+    '/me/favorites',
+    auth,
+    handler(async (req, res) => {
+        const favorites = await getFavoriteIds(req.user.id);
+
+        const page = await findPage({
+            model: FoodModel,
+            req,
+            filter: { ...NOT_ARCHIVED, _id: { $in: favorites } },
+            sortFields: ['name', 'price', 'stars', 'createdAt'],
+            defaultSort: 'name',
+        });
+
+        page.data = page.data.map(food => ({ ...withAvailability(food), favorite: true }));
+        res.send(page);
+    })
+);
+
+const USER_FILTERS = {
+    isBlocked: { field: 'isBlocked', type: 'boolean' },
+    isAdmin: { field: 'isAdmin', type: 'boolean' },
+};
+
+const USER_SORT_FIELDS = ['name', 'email', 'createdAt'];
+
 /**
  * @swagger
  * /api/users/getall/{searchTerm}:
  *   get:
- *     summary: Get all users (admin only)
+ *     summary: Get all users (requires users:view)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -258,29 +690,66 @@ router.put(
  *         schema:
  *           type: string
  *         required: false
- *         description: Search term to filter users by name
+ *         description: Words matching the start of a word in the user's name or email
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma-separated fields, prefix with - for descending (name, email, createdAt)
+ *       - in: query
+ *         name: isBlocked
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: isAdmin
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
- *         description: List of users
+ *         description: Page of users
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/User'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  */
 router.get(
     '/getall/:searchTerm?',
-    admin,
+    requirePermission(Permissions.USERS_VIEW),
     handler(async (req, res) => {
         const { searchTerm } = req.params;
 
-        const filter = searchTerm
-            ? { name: { $regex: new RegExp(searchTerm, 'i') } }
+        const tokens = tokenize(searchTerm);
+        const filter = tokens.length
+            ? buildPrefixFilter(tokens, ['name', 'email'])
             : {};
 
-        const users = await UserModel.find(filter, { password: 0 });
-        res.send(users);
+        const page = await findPage({
+            model: UserModel,
+            req,
+            filter,
+            filterSpec: USER_FILTERS,
+            sortFields: USER_SORT_FIELDS,
+            defaultSort: 'name',
+            projection: { password: 0 },
+        });
+
+        res.send(page);
     })
 );
 
@@ -288,7 +757,10 @@ router.get(
  * @swagger
  * /api/users/toggleBlock/{userId}:
  *   put:
- *     summary: Toggle user block status (admin only)
+ *     summary: Toggle user block status (requires users:block)
+ *     description: |
+ *       Blocks an active user or lifts the block of a blocked one. Blocking signs the
+ *       user out everywhere. A block with `blockedUntil` is lifted automatically.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -299,6 +771,20 @@ router.get(
  *           type: string
  *         required: true
  *         description: ID of user to toggle block status
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Shown to the user when they try to login
+ *               blockedUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional end of the block, must be in the future
  *     responses:
  *       200:
  *         description: Block status toggled successfully
@@ -307,48 +793,175 @@ router.get(
  *             schema:
  *               type: boolean
  *       400:
- *         description: Can't block yourself
+ *         description: Can't block yourself or invalid expiry date
+ *       404:
+ *         description: User not found
  */
 router.put(
     '/toggleBlock/:userId',
-    admin,
+    requirePermission(Permissions.USERS_BLOCK),
     handler(async (req, res) => {
         const { userId } = req.params;
+        const { reason, blockedUntil } = req.body ?? {};
 
         if (userId === req.user.id) {
-            res.status(BAD_REQUEST).send("Can't block yourself!");
-            return;
+            throw new BadRequestError("Can't block yourself!", { code: 'CANNOT_BLOCK_SELF' });
         }
 
         const user = await UserModel.findById(userId);
-        user.isBlocked = !user.isBlocked;
-        user.save();
+        if (!user) {
+            throw new NotFoundError('User Not Found!', { code: 'USER_NOT_FOUND' });
+        }
+
+        if (await refreshBlock(user)) {
+            user.isBlocked = false;
+            user.blockReason = undefined;
+            user.blockedUntil = undefined;
+            user.blockedAt = undefined;
+            user.blockedBy = undefined;
+        } else {
+            const until = blockedUntil ? new Date(blockedUntil) : undefined;
+            if (until && !(until > new Date())) {
+                throw new BadRequestError('Block expiry must be a future date!', { code: 'INVALID_BLOCK_EXPIRY' });
+            }
+
+            user.isBlocked = true;
+            user.blockReason = reason;
+            user.blockedUntil = until;
+            user.blockedAt = new Date();
+            user.blockedBy = req.user.id;
+            user.tokensValidAfter = new Date();
+        }
+
+        await user.save();
+        if (user.isBlocked) await revokeUserTokens(user._id);
+        invalidateUserStatus(user._id);
 
         res.send(user.isBlocked);
     })
 );
 
-const generateTokenResponse = user => {
-    const token = jwt.sign(
-        {
-            id: user.id,
-            email: user.email,
-            isAdmin: user.isAdmin,
-        },
-        process.env.JWT_SECRET,
-        {
-            expiresIn: '30d',
+/**
+ * @swagger
+ * /api/users/roles:
+ *   get:
+ *     summary: List roles and the permissions they grant (requires users:manageRoles)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions per role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ */
+router.get('/roles', requirePermission(Permissions.USERS_MANAGE_ROLES), (req, res) => {
+    res.send(RolePermissions);
+});
+
+/**
+ * @swagger
+ * /api/users/setRoles/{userId}:
+ *   put:
+ *     summary: Replace the roles of a user (requires users:manageRoles)
+ *     description: |
+ *       The user's current access tokens stop working, a refresh returns a token
+ *       carrying the new roles. When callers change their own roles the response holds
+ *       a new access token (`token`) for them, so they stay signed in.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roles
+ *             properties:
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [ADMIN, KITCHEN, CATALOG_MANAGER, SUPPORT, CUSTOMER]
+ *     responses:
+ *       200:
+ *         description: Roles updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Unknown role or removing your own ADMIN role
+ *       404:
+ *         description: User not found
+ */
+router.put(
+    '/setRoles/:userId',
+    requirePermission(Permissions.USERS_MANAGE_ROLES),
+    handler(async (req, res) => {
+        const { userId } = req.params;
+        const { roles } = req.body ?? {};
+        const validRoles = Object.values(Roles);
+
+        if (!Array.isArray(roles) || !roles.length || !roles.every(role => validRoles.includes(role))) {
+            throw new BadRequestError(`Roles must be a non-empty list of ${validRoles.join(', ')}`, {
+                code: 'INVALID_ROLES',
+            });
+        }
+
+        if (userId === req.user.id && !roles.includes(Roles.ADMIN)) {
+            throw new BadRequestError("Can't remove your own ADMIN role!", { code: 'CANNOT_REMOVE_OWN_ADMIN' });
+        }
+
+        const user = await UserModel.findById(userId);
+        if (!user) {
+            throw new NotFoundError('User Not Found!', { code: 'USER_NOT_FOUND' });
         }
-    );
-
-    return {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        address: user.address,
-        isAdmin: user.isAdmin,
-        token,
-    };
+
+        user.roles = [...new Set(roles)];
+        user.isAdmin = user.roles.includes(Roles.ADMIN);
+        user.tokensValidAfter = new Date();
+        await user.save();
+        invalidateUserStatus(user._id);
+
+        // The caller's own token was just revoked as well.
+        const tokens = userId === req.user.id ? { token: generateAccessToken(user) } : {};
+        res.send(generateTokenResponse(user, tokens));
+    })
+);
+
+const sendVerification = async user => {
+    const token = await createUserToken(user._id, UserTokenType.EMAIL_VERIFICATION, EMAIL_VERIFICATION_TTL_MS);
+    try {
+        await sendEmailVerificationMail(user, token);
+    } catch (error) {
+        console.log('Sending verification mail failed:', error);
+    }
 };
 
+const generateTokenResponse = (user, tokens) => ({
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    address: user.address,
+    isAdmin: user.isAdmin,
+    roles: getUserRoles(user),
+    emailVerified: user.emailVerified !== false,
+    ...tokens,
+});
+
 export default router;
\ No newline at end of file
@@ -6,21 +6,52 @@ import cors from 'cors';
 import {createProxyMiddleware} from "http-proxy-middleware";
 import swaggerUi from 'swagger-ui-express';
 import { specs } from './config/swagger.js'
+import { createRequestValidator } from './middleware/validate.mid.js';
+import requestId from './middleware/requestId.mid.js';
+import errorMid from './middleware/error.mid.js';
+import { NotFoundError } from './errors/http.error.js';
 
 import foodRouter from './routers/food.router.js';
+import reviewRouter from './routers/review.router.js';
 import userRouter from './routers/user.router.js';
 import orderRouter from './routers/order.router.js';
 import uploadRouter from './routers/upload.router.js';
+import paymentRouter from './routers/payment.router.js';
+import cartRouter from './routers/cart.router.js';
+import couponRouter from './routers/coupon.router.js';
+import deliveryRouter from './routers/delivery.router.js';
+import analyticsRouter from './routers/analytics.router.js';
+import inventoryRouter from './routers/inventory.router.js';
+import catalogRouter from './routers/catalog.router.js';
 
 import { dbconnect } from './config/database.config.js';
+import { startOrderExpirySweeper } from './services/orderExpiry.service.js';
+import { getMailTransport } from './services/mail.service.js';
+import { configDelivery } from './config/delivery.config.js';
 import path, { dirname } from 'path';
+// Fail right away on a misconfigured mail transport or delivery zones, instead of
+// on the first signup or order.
+getMailTransport();
+configDelivery();
 dbconnect();
+startOrderExpirySweeper();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
-app.use(express.json());
+app.use(requestId);
+// Rate limits and login locks count per client IP. Behind a proxy TRUST_PROXY must be
+// set (see .env.example), or every client shares the proxy's IP.
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+app.use(
+  express.json({
+    // Webhook signatures are computed over the exact bytes that were sent.
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 app.use(
   cors({
@@ -30,13 +61,24 @@ app.use(
 );
 
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
+app.use(createRequestValidator(specs));
 
 
+app.use('/api/foods/:foodId/reviews', reviewRouter);
 app.use('/api/foods', foodRouter);
 app.use('/api/users', userRouter);
 app.use('/api/orders', orderRouter);
 app.use('/api/upload', uploadRouter);
-
+app.use('/api/payments', paymentRouter);
+app.use('/api/cart', cartRouter);
+app.use('/api/coupons', couponRouter);
+app.use('/api/delivery', deliveryRouter);
+app.use('/api/admin/analytics', analyticsRouter);
+app.use('/api/admin/catalog', catalogRouter);
+app.use('/api/inventory', inventoryRouter);
+app.use('/api', (req, res, next) => {
+  next(new NotFoundError('Route not found', { code: 'ROUTE_NOT_FOUND' }));
+});
 
 const publicFolder = path.join(__dirname, 'public');
 app.use(express.static(publicFolder));
@@ -46,6 +88,8 @@ app.get('*', (req, res) => {
   res.sendFile(indexFilePath);
 });
 
+app.use(errorMid);
+
 const PORT = process.env.PORT || 8000;
 
 app.listen(PORT, () => {
@@ -0,0 +1,278 @@
+import { OrderModel } from '../models/order.model.js';
+import { OrderStatus } from '../constants/orderStatus.js';
+import { ValidationError } from '../errors/http.error.js';
+import { parseQuery } from './query.service.js';
+import { roundPrice } from './order.service.js';
+
+// Orders whose payment went through and was not taken back.
+export const SOLD_STATUSES = [OrderStatus.PAID, OrderStatus.SHIPPED, OrderStatus.DELIVERED];
+
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+const DEFAULT_TOP_LIMIT = 10;
+const MAX_TOP_LIMIT = 100;
+
+const isTimeZone = value => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Milliseconds `timeZone` is ahead of UTC at `date`.
+const getZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    })
+      .formatToParts(date)
+      .map(part => [part.type, Number(part.value)])
+  );
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Start of `day` (YYYY-MM-DD) in `timeZone`.
+const startOfDay = (day, timeZone) => {
+  const midnight = Date.parse(`${day}T00:00:00Z`);
+  const guess = midnight - getZoneOffset(new Date(midnight), timeZone);
+  return new Date(midnight - getZoneOffset(new Date(guess), timeZone));
+};
+
+const nextDay = day => new Date(Date.parse(`${day}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+
+const ratio = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 10000 : null);
+
+/**
+ * Reads `from`, `to`, `interval`, `timezone` and `limit` from the query
+ * string, throws a ValidationError listing every invalid parameter.
+ * Date-only `from` and `to` are whole days of `timezone`, so `to` includes
+ * its last day.
+ */
+export const parseAnalyticsQuery = query => {
+  const { values, errors } = parseQuery(query, {
+    from: 'date',
+    to: 'date',
+    interval: 'string',
+    timezone: 'string',
+    limit: 'number',
+  });
+  let { from = null, to = null } = values;
+  const {
+    interval = 'day',
+    timezone = 'UTC',
+    limit = DEFAULT_TOP_LIMIT,
+  } = values;
+
+  if (isTimeZone(timezone)) {
+    if (from && DATE_ONLY.test(query.from)) from = startOfDay(query.from, timezone);
+    if (to && DATE_ONLY.test(query.to)) to = new Date(startOfDay(nextDay(query.to), timezone) - 1);
+  }
+
+  if (from && to && from > to) errors.push({ param: 'from', message: 'Must not be after to' });
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    errors.push({ param: 'interval', message: `Must be one of ${ANALYTICS_INTERVALS.join(', ')}` });
+  }
+  if (!isTimeZone(timezone)) errors.push({ param: 'timezone', message: 'Unknown time zone' });
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_LIMIT) {
+    errors.push({ param: 'limit', message: `Must be an integer between 1 and ${MAX_TOP_LIMIT}` });
+  }
+
+  if (errors.length) {
+    throw new ValidationError(
+      'Invalid query parameters',
+      errors.map(error => ({ in: 'query', ...error }))
+    );
+  }
+
+  return { from, to, interval, timezone, limit };
+};
+
+const matchCreated = ({ from, to }, extra = {}) => {
+  const match = { ...extra };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+  return match;
+};
+
+const matchSold = range => matchCreated(range, { status: { $in: SOLD_STATUSES } });
+
+/**
+ * Order counts and revenue of the range. `conversionRate` is the share of
+ * paid orders among the ones that were either paid or failed, orders still
+ * PENDING are not decided yet and CANCELLED ones are left out.
+ */
+export const getSalesSummary = async range => {
+  const groups = await OrderModel.aggregate([
+    { $match: matchCreated(range) },
+    { $group: { _id: '$status', orders: { $sum: 1 }, revenue: { $sum: '$totalPrice' } } },
+  ]);
+
+  const byStatus = Object.fromEntries(Object.values(OrderStatus).map(status => [status, 0]));
+  let paidOrders = 0;
+  let revenue = 0;
+
+  for (const group of groups) {
+    byStatus[group._id] = group.orders;
+    if (SOLD_STATUSES.includes(group._id)) {
+      paidOrders += group.orders;
+      revenue += group.revenue;
+    }
+  }
+
+  const failedOrders = byStatus[OrderStatus.FAILED];
+
+  return {
+    from: range.from,
+    to: range.to,
+    orders: groups.reduce((sum, group) => sum + group.orders, 0),
+    paidOrders,
+    failedOrders,
+    cancelledOrders: byStatus[OrderStatus.CANCELLED],
+    pendingOrders: byStatus[OrderStatus.PENDING],
+    revenue: roundPrice(revenue),
+    averageOrderValue: paidOrders ? roundPrice(revenue / paidOrders) : null,
+    conversionRate: ratio(paidOrders, paidOrders + failedOrders),
+  };
+};
+
+// Paid orders and revenue per day, week (starting Monday) or month of `timezone`.
+export const getRevenueByPeriod = async ({ from, to, interval, timezone }) => {
+  const periods = await OrderModel.aggregate([
+    { $match: matchSold({ from, to }) },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: { date: '$createdAt', unit: interval, timezone, startOfWeek: 'monday' },
+        },
+        orders: { $sum: 1 },
+        revenue: { $sum: '$totalPrice' },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return periods.map(({ _id, orders, revenue }) => ({
+    period: _id,
+    orders,
+    revenue: roundPrice(revenue),
+    averageOrderValue: roundPrice(revenue / orders),
+  }));
+};
+
+// Best selling foods by quantity, revenue is the item price before discounts.
+export const getTopFoods = async ({ from, to, limit }) => {
+  const foods = await OrderModel.aggregate([
+    { $match: matchSold({ from, to }) },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.food._id',
+        name: { $last: '$items.food.name' },
+        quantity: { $sum: '$items.quantity' },
+        revenue: { $sum: '$items.price' },
+        orders: { $sum: 1 },
+      },
+    },
+    { $sort: { quantity: -1, revenue: -1 } },
+    { $limit: limit },
+  ]);
+
+  return foods.map(({ _id, name, quantity, revenue, orders }) => ({
+    foodId: String(_id),
+    name,
+    quantity,
+    revenue: roundPrice(revenue),
+    orders,
+  }));
+};
+
+// Same as `getTopFoods` per food tag, a food with several tags counts for each.
+export const getTopTags = async ({ from, to, limit }) => {
+  const tags = await OrderModel.aggregate([
+    { $match: matchSold({ from, to }) },
+    { $unwind: '$items' },
+    { $unwind: '$items.food.tags' },
+    {
+      $group: {
+        _id: '$items.food.tags',
+        quantity: { $sum: '$items.quantity' },
+        revenue: { $sum: '$items.price' },
+        orders: { $sum: 1 },
+      },
+    },
+    { $sort: { quantity: -1, revenue: -1 } },
+    { $limit: limit },
+  ]);
+
+  return tags.map(({ _id, quantity, revenue, orders }) => ({
+    tag: _id,
+    quantity,
+    revenue: roundPrice(revenue),
+    orders,
+  }));
+};
+
+/**
+ * Customers with a paid order in the range. Returning customers already had
+ * a paid order before `from`, which is required since without it every
+ * customer would count as new.
+ */
+export const getCustomerStats = async ({ from, to }) => {
+  if (!from) {
+    throw new ValidationError('Invalid query parameters', [
+      { in: 'query', param: 'from', message: 'Is required to tell new from returning customers' },
+    ]);
+  }
+
+  const customers = await OrderModel.aggregate([
+    { $match: matchSold({ from, to }) },
+    { $group: { _id: '$user', orders: { $sum: 1 }, revenue: { $sum: '$totalPrice' } } },
+  ]);
+
+  const returning = await OrderModel.distinct('user', {
+    user: { $in: customers.map(customer => customer._id) },
+    status: { $in: SOLD_STATUSES },
+    createdAt: { $lt: from },
+  });
+  const returningIds = new Set(returning.map(String));
+
+  const stats = {
+    new: { customers: 0, orders: 0, revenue: 0 },
+    returning: { customers: 0, orders: 0, revenue: 0 },
+  };
+  for (const customer of customers) {
+    const group = returningIds.has(String(customer._id)) ? stats.returning : stats.new;
+    group.customers += 1;
+    group.orders += customer.orders;
+    group.revenue += customer.revenue;
+  }
+
+  return {
+    from,
+    to,
+    customers: customers.length,
+    newCustomers: stats.new.customers,
+    returningCustomers: stats.returning.customers,
+    newCustomerOrders: stats.new.orders,
+    returningCustomerOrders: stats.returning.orders,
+    newCustomerRevenue: roundPrice(stats.new.revenue),
+    returningCustomerRevenue: roundPrice(stats.returning.revenue),
+    returningRate: ratio(stats.returning.customers, customers.length),
+  };
+};
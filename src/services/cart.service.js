@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import { CartModel } from '../models/cart.model.js';
+import { FoodModel, NOT_ARCHIVED } from '../models/food.model.js';
+import { BadRequestError, NotFoundError, ValidationError } from '../errors/http.error.js';
+import { roundPrice } from './order.service.js';
+import { checkOrderable } from './inventory.service.js';
+import { getLineKey, getOptionsPrice, selectOptions } from './foodOption.service.js';
+import { findFoodOrThrow } from './food.service.js';
+
+// Header holding the id of an anonymous cart.
+export const CART_ID_HEADER = 'cart_id';
+export const MAX_ITEM_QUANTITY = 99;
+
+const VALID_GUEST_ID = /^[\w-]{32}$/;
+
+const createGuestId = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * Cart of the signed in user, or the anonymous cart `guestId` points at.
+ * Resolves to null when there is none yet.
+ */
+export const findCart = async ({ userId, guestId }) => {
+  if (userId) return CartModel.findOne({ user: userId });
+  if (guestId && VALID_GUEST_ID.test(guestId)) return CartModel.findOne({ guestId });
+  return null;
+};
+
+/**
+ * Like `findCart`, but creates the cart when missing. Guest ids are always
+ * generated here, an unknown id sent by the client starts a new cart.
+ */
+export const findOrCreateCart = async ({ userId, guestId }) => {
+  if (userId) {
+    return CartModel.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId } },
+      { upsert: true, new: true }
+    );
+  }
+
+  return (await findCart({ guestId })) ?? CartModel.create({ guestId: createGuestId() });
+};
+
+const checkQuantity = (quantity, min = 0) => {
+  if (!Number.isInteger(quantity) || quantity < min || quantity > MAX_ITEM_QUANTITY) {
+    throw new BadRequestError(`Quantity must be an integer between ${min} and ${MAX_ITEM_QUANTITY}`, {
+      code: 'INVALID_QUANTITY',
+    });
+  }
+};
+
+// Cart lines are identified by the food id, followed by the sorted option ids when options were chosen.
+const getItemKey = item => getLineKey(item.food, item.options);
+
+const findLine = (cart, lineId) => cart?.items.find(item => getItemKey(item) === String(lineId));
+
+const findExistingLine = (cart, lineId) => {
+  const line = findLine(cart, lineId);
+  if (!line) throw new NotFoundError('Food is not in the cart', { code: 'CART_ITEM_NOT_FOUND' });
+  return line;
+};
+
+const getSelection = (food, optionIds) => {
+  const { options, errors } = selectOptions(food, optionIds);
+  if (errors.length) {
+    throw new ValidationError(
+      'Invalid options',
+      errors.map(message => ({ in: 'body', param: 'options', message })),
+      { code: 'INVALID_OPTIONS' }
+    );
+  }
+  return options;
+};
+
+export const addCartItem = async (cart, foodId, quantity = 1, optionIds = []) => {
+  checkQuantity(quantity, 1);
+  const food = await findFoodOrThrow(foodId);
+  const options = getSelection(food, optionIds);
+  const ids = options.map(option => option.option);
+  const line = findLine(cart, getLineKey(food._id, ids));
+  const total = (line?.quantity ?? 0) + quantity;
+
+  if (total > MAX_ITEM_QUANTITY) {
+    throw new BadRequestError(`At most ${MAX_ITEM_QUANTITY} of a food fit in the cart`, {
+      code: 'INVALID_QUANTITY',
+    });
+  }
+
+  if (line) line.quantity = total;
+  else {
+    cart.items.push({
+      food: food._id,
+      options: ids.length ? ids : undefined,
+      quantity,
+      price: roundPrice(food.price + getOptionsPrice(options)),
+    });
+  }
+
+  return cart.save();
+};
+
+// A quantity of 0 removes the line.
+export const setCartItemQuantity = async (cart, lineId, quantity) => {
+  checkQuantity(quantity);
+  const line = findExistingLine(cart, lineId);
+
+  if (quantity === 0) cart.items.pull(line);
+  else line.quantity = quantity;
+
+  return cart.save();
+};
+
+export const removeCartItem = async (cart, lineId) => {
+  const line = findExistingLine(cart, lineId);
+  cart.items.pull(line);
+  return cart.save();
+};
+
+export const clearCart = async cart => {
+  cart.items = [];
+  return cart.save();
+};
+
+
+/**
+ * Reads the cart against the current catalog. Every line gets the live unit
+ * price and availability, lines whose price changed since the last read carry
+ * `previousUnitPrice` once, after which the new price is remembered.
+ */
+export const refreshCart = async cart => {
+  const items = cart?.items ?? [];
+  const foods = items.length
+    ? await FoodModel.find({ ...NOT_ARCHIVED, _id: { $in: items.map(item => item.food) } })
+    : [];
+  const foodsById = new Map(foods.map(food => [food.id, food]));
+  let changed = false;
+
+  const lines = items.map(item => {
+    const food = foodsById.get(String(item.food));
+    const availability = food && checkOrderable(food, item.quantity);
+    const selection = food && selectOptions(food, item.options);
+    const unavailable = unavailableReason => ({
+      lineId: getItemKey(item),
+      food: food ?? { id: String(item.food) },
+      quantity: item.quantity,
+      unitPrice: item.price,
+      price: 0,
+      available: false,
+      unavailableReason,
+    });
+
+    if (!availability?.available) return unavailable(availability?.reason ?? 'NOT_FOUND');
+    // The food was changed and the chosen options are gone or no longer a valid combination.
+    if (selection.errors.length) return unavailable('OPTIONS_CHANGED');
+
+    const unitPrice = roundPrice(food.price + getOptionsPrice(selection.options));
+    const line = {
+      lineId: getItemKey(item),
+      food,
+      ...(selection.options.length ? { options: selection.options } : {}),
+      quantity: item.quantity,
+      unitPrice,
+      price: roundPrice(unitPrice * item.quantity),
+      available: true,
+    };
+
+    if (item.price !== unitPrice) {
+      line.previousUnitPrice = item.price;
+      item.price = unitPrice;
+      changed = true;
+    }
+
+    return line;
+  });
+
+  if (changed) await cart.save();
+
+  const available = lines.filter(line => line.available);
+
+  return {
+    ...(cart?.guestId ? { cartId: cart.guestId } : {}),
+    items: lines,
+    totalQuantity: available.reduce((sum, line) => sum + line.quantity, 0),
+    totalPrice: roundPrice(available.reduce((sum, line) => sum + line.price, 0)),
+    updatedAt: cart?.updatedAt ?? null,
+  };
+};
+
+// Order lines for `priceOrderItems` from the cart.
+export const toOrderItems = cart =>
+  (cart?.items ?? []).map(item => ({
+    food: String(item.food),
+    ...(item.options?.length ? { options: item.options.map(String) } : {}),
+    quantity: item.quantity,
+  }));
+
+/**
+ * Moves the lines of an anonymous cart into the user's cart, adding up
+ * quantities of lines (same food and options) in both, and deletes the anonymous cart.
+ */
+export const mergeGuestCart = async (guestId, userId) => {
+  const guestCart = await findCart({ guestId });
+  if (!guestCart) return;
+
+  if (guestCart.items.length) {
+    const cart = await findOrCreateCart({ userId });
+
+    for (const item of guestCart.items) {
+      const line = findLine(cart, getItemKey(item));
+      if (line) line.quantity = Math.min(line.quantity + item.quantity, MAX_ITEM_QUANTITY);
+      else cart.items.push(item.toObject());
+    }
+
+    await cart.save();
+  }
+
+  await guestCart.deleteOne();
+};
@@ -0,0 +1,323 @@
+import { FoodModel, NOT_ARCHIVED } from '../models/food.model.js';
+import { BadRequestError, HttpError, ValidationError } from '../errors/http.error.js';
+import { parseCsv, toCsv } from './csv.service.js';
+import { createFood, getChangedFields, previewFood, updateFood } from './food.service.js';
+import { checkOptionGroups } from './foodOption.service.js';
+import { DUPLICATE_KEY_ERROR, TRANSACTIONS_UNSUPPORTED } from '../constants/mongoErrorCodes.js';
+
+export const CATALOG_FORMATS = ['csv', 'json'];
+export const MAX_IMPORT_ROWS = 2000;
+
+// Columns of CSV exports, imports accept the same ones. Arrays are `;` separated.
+export const CATALOG_CSV_COLUMNS = [
+  'sku',
+  'name',
+  'price',
+  'tags',
+  'origins',
+  'featured',
+  'imageUrl',
+  'cookTime',
+];
+
+// Option groups only fit JSON files.
+const CATALOG_FIELDS = [...CATALOG_CSV_COLUMNS, 'optionGroups'];
+
+// Fields every new food needs, like the food schema.
+const REQUIRED_FIELDS = ['name', 'price', 'imageUrl', 'origins', 'cookTime'];
+
+export const ImportAction = {
+  CREATE: 'CREATE',
+  UPDATE: 'UPDATE',
+  UNCHANGED: 'UNCHANGED',
+  ERROR: 'ERROR',
+};
+
+const toCatalogEntry = food => ({
+  sku: food.sku ?? null,
+  name: food.name,
+  price: food.price,
+  tags: food.tags ?? [],
+  origins: food.origins ?? [],
+  featured: food.featured,
+  imageUrl: food.imageUrl,
+  cookTime: food.cookTime,
+  ...(food.optionGroups ? { optionGroups: food.optionGroups } : {}),
+});
+
+/**
+ * Every food customers can see, sorted by name. Resolves to CSV text with
+ * `format=csv`, to plain entries that can be imported again otherwise.
+ */
+export const exportCatalog = async format => {
+  const foods = await FoodModel.find(NOT_ARCHIVED).sort('name');
+  const entries = foods.map(food => toCatalogEntry(food.toObject({ virtuals: false })));
+
+  return format === 'csv' ? toCsv(entries, CATALOG_CSV_COLUMNS) : entries;
+};
+
+const invalidFile = message => new BadRequestError(message, { code: 'INVALID_IMPORT_FILE' });
+
+const readRows = (buffer, format) => {
+  const text = buffer.toString('utf8');
+
+  if (format === 'csv') {
+    try {
+      return parseCsv(text);
+    } catch (error) {
+      throw invalidFile(`File is not valid CSV: ${error.message}`);
+    }
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw invalidFile('File is not valid JSON');
+  }
+  // Exports are arrays, `{ foods: [...] }` is accepted as well.
+  const rows = Array.isArray(data) ? data : data?.foods;
+  if (!Array.isArray(rows)) throw invalidFile('JSON files must hold an array of foods');
+  return rows;
+};
+
+const toText = value => (typeof value === 'string' ? value.trim() : value);
+
+const toList = value =>
+  typeof value === 'string' ? value.split(';').map(item => item.trim()).filter(Boolean) : value;
+
+const toBoolean = value => {
+  if (typeof value !== 'string') return value;
+  const normalized = value.trim().toLowerCase();
+  if (['true', 'yes', '1'].includes(normalized)) return true;
+  if (['false', 'no', '0'].includes(normalized)) return false;
+  return value;
+};
+
+const toNumber = value => (typeof value === 'string' ? Number(value.trim()) : value);
+
+const FIELD_PARSERS = {
+  sku: toText,
+  name: toText,
+  price: toNumber,
+  tags: toList,
+  origins: toList,
+  featured: toBoolean,
+  imageUrl: toText,
+  cookTime: toText,
+  optionGroups: value => value,
+};
+
+const isText = value => typeof value === 'string' && value !== '';
+const isTextList = value => Array.isArray(value) && value.every(isText);
+
+const FIELD_CHECKS = {
+  sku: [isText, 'must be a non-empty string'],
+  name: [isText, 'must be a non-empty string'],
+  price: [value => typeof value === 'number' && Number.isFinite(value) && value >= 0, 'must be a number of at least 0'],
+  tags: [isTextList, 'must be a list of strings'],
+  origins: [isTextList, 'must be a list of strings'],
+  featured: [value => typeof value === 'boolean', 'must be true or false'],
+  imageUrl: [isText, 'must be a non-empty string'],
+  cookTime: [isText, 'must be a non-empty string'],
+  optionGroups: [Array.isArray, 'must be a list of option groups'],
+};
+
+/**
+ * Reads the catalog fields of one file row. Empty cells and missing keys
+ * leave the field out, so updates keep the current value.
+ */
+const readFields = raw => {
+  const fields = {};
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { fields, errors: ['Row must be an object'] };
+  }
+
+  for (const field of CATALOG_FIELDS) {
+    if (raw[field] === undefined || raw[field] === null || raw[field] === '') continue;
+
+    const value = FIELD_PARSERS[field](raw[field]);
+    const [check, message] = FIELD_CHECKS[field];
+    if (check(value)) fields[field] = value;
+    else errors.push(`${field} ${message}`);
+  }
+
+  if (!fields.sku && !fields.name) errors.push('Either sku or name is required');
+
+  return { fields, errors };
+};
+
+const findMatches = rows => {
+  const skus = rows.map(row => row.fields.sku).filter(Boolean);
+  const names = rows.map(row => row.fields.name).filter(Boolean);
+
+  return FoodModel.find({
+    $or: [{ sku: { $in: skus } }, { ...NOT_ARCHIVED, name: { $in: names } }],
+  });
+};
+
+/**
+ * Finds the food a row updates: the one with its sku, else the only visible
+ * food with its name that has no other sku. Returns `{ food }` (null for
+ * new foods) or `{ error }`.
+ */
+const matchRow = ({ sku, name }, foods) => {
+  if (sku) {
+    const food = foods.find(candidate => candidate.sku === sku);
+    if (food?.archivedAt) return { error: `Food with sku ${sku} is archived, restore it first` };
+    if (food) return { food };
+  }
+  if (!name) return { food: null };
+
+  const named = foods.filter(
+    candidate => !candidate.archivedAt && candidate.name === name && (!candidate.sku || candidate.sku === sku)
+  );
+  if (named.length > 1) return { error: `Several foods are named ${name}, add a sku to the row` };
+  return { food: named[0] ?? null };
+};
+
+const describeInvalid = error =>
+  error instanceof ValidationError
+    ? error.details.map(detail => `${detail.param} ${detail.message}`)
+    : Object.values(error.errors).map(item => `${item.path} ${item.message}`);
+
+const planRow = (row, foods, seen) => {
+  const { fields, errors } = row;
+  const result = { row: row.row, sku: fields.sku ?? null, name: fields.name ?? null };
+  const fail = messages => ({ ...result, action: ImportAction.ERROR, errors: messages });
+
+  if (errors.length) return fail(errors);
+
+  const { food, error } = matchRow(fields, foods);
+  if (error) return fail([error]);
+
+  // Later rows for the same food would silently overwrite earlier ones.
+  const key = food ? `id:${food.id}` : `new:${fields.sku ?? fields.name}`;
+  if (seen.has(key)) return fail([`Same food as row ${seen.get(key)}`]);
+  seen.set(key, row.row);
+
+  if (!food) {
+    const missing = REQUIRED_FIELDS.filter(field => fields[field] === undefined);
+    if (missing.length) return fail([`New foods need ${missing.join(', ')}`]);
+  }
+
+  try {
+    checkOptionGroups(fields.optionGroups);
+  } catch (invalid) {
+    return fail(describeInvalid(invalid));
+  }
+  const invalid = (food ? previewFood(food, fields) : new FoodModel(fields)).validateSync();
+  if (invalid) return fail(describeInvalid(invalid));
+
+  if (!food) return { ...result, action: ImportAction.CREATE, fields };
+
+  const changes = getChangedFields(food, fields);
+  return {
+    ...result,
+    action: changes.length ? ImportAction.UPDATE : ImportAction.UNCHANGED,
+    foodId: food.id,
+    changes,
+    fields,
+  };
+};
+
+/**
+ * Works out what importing `rows` does without writing anything: every row
+ * becomes a CREATE, UPDATE, UNCHANGED or ERROR entry.
+ */
+const planImport = async rawRows => {
+  const rows = rawRows.map((raw, index) => ({ row: index + 1, ...readFields(raw) }));
+  const foods = await findMatches(rows);
+  const seen = new Map();
+
+  return rows.map(row => planRow(row, foods, seen));
+};
+
+const applyRow = async (entry, userId, session) => {
+  if (entry.action === ImportAction.CREATE) {
+    const food = await createFood(entry.fields, userId, { session });
+    entry.foodId = food.id;
+  } else if (entry.action === ImportAction.UPDATE) {
+    await updateFood(entry.foodId, entry.fields, userId, { session });
+  }
+};
+
+const describeWriteError = error =>
+  error instanceof HttpError ? error.message : 'Could not be saved, check for duplicate skus';
+
+const toReport = (entries, { dryRun, atomic, applied }) => {
+  const count = action => entries.filter(entry => entry.action === action).length;
+
+  return {
+    dryRun,
+    atomic,
+    applied,
+    summary: {
+      total: entries.length,
+      created: count(ImportAction.CREATE),
+      updated: count(ImportAction.UPDATE),
+      unchanged: count(ImportAction.UNCHANGED),
+      errors: count(ImportAction.ERROR),
+    },
+    rows: entries.map(({ fields, ...entry }) => entry),
+  };
+};
+
+/**
+ * Imports the foods of a CSV or JSON file, rows update the food with their
+ * sku (or name) and create the others. `dryRun` only reports what would
+ * happen. Without `atomic` valid rows are saved and the others reported,
+ * with it nothing is saved unless every row is valid, in one transaction.
+ * Throws a ValidationError with the report for atomic imports with bad rows.
+ */
+export const importCatalog = async ({ buffer, format, dryRun = false, atomic = false, userId }) => {
+  const rows = readRows(buffer, format);
+  if (!rows.length) throw invalidFile('File holds no foods');
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new BadRequestError(`At most ${MAX_IMPORT_ROWS} foods can be imported at once`, {
+      code: 'IMPORT_TOO_LARGE',
+    });
+  }
+
+  const entries = await planImport(rows);
+  const invalid = entries.filter(entry => entry.action === ImportAction.ERROR);
+
+  if (dryRun) return toReport(entries, { dryRun, atomic, applied: false });
+
+  if (atomic && invalid.length) {
+    throw new ValidationError(
+      'Import has invalid rows, nothing was imported',
+      invalid.flatMap(entry => entry.errors.map(message => ({ in: 'body', param: `rows.${entry.row}`, message }))),
+      { code: 'INVALID_IMPORT_ROWS', extra: { report: toReport(entries, { dryRun, atomic, applied: false }) } }
+    );
+  }
+
+  if (atomic) {
+    try {
+      await FoodModel.db.transaction(async session => {
+        for (const entry of entries) await applyRow(entry, userId, session);
+      });
+    } catch (error) {
+      if (error.code === TRANSACTIONS_UNSUPPORTED) {
+        throw new BadRequestError('Atomic imports need MongoDB to run as a replica set', {
+          code: 'TRANSACTIONS_UNSUPPORTED',
+        });
+      }
+      throw error;
+    }
+    return toReport(entries, { dryRun, atomic, applied: true });
+  }
+
+  for (const entry of entries) {
+    try {
+      await applyRow(entry, userId);
+    } catch (error) {
+      if (!(error instanceof HttpError) && error.code !== DUPLICATE_KEY_ERROR) throw error;
+      Object.assign(entry, { action: ImportAction.ERROR, errors: [describeWriteError(error)] });
+    }
+  }
+
+  return toReport(entries, { dryRun, atomic, applied: true });
+};
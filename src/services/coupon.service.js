@@ -0,0 +1,206 @@
+import { CouponModel, CouponType } from '../models/coupon.model.js';
+import { CouponUsageModel } from '../models/couponUsage.model.js';
+import { OrderStatus } from '../constants/orderStatus.js';
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from '../errors/http.error.js';
+import { DUPLICATE_KEY_ERROR } from '../constants/mongoErrorCodes.js';
+import { roundPrice } from './order.service.js';
+
+// Orders in these statuses no longer hold the coupon they used.
+export const COUPON_RELEASING_STATUSES = [OrderStatus.FAILED, OrderStatus.CANCELLED];
+
+export const normalizeCouponCode = code => String(code ?? '').trim().toUpperCase();
+
+const hasAnyTag = (food, tags) => !tags?.length || (food.tags ?? []).some(tag => tags.includes(tag));
+
+// The cheapest qualifying units are the free ones.
+const buyXGetYDiscount = (coupon, items) => {
+  const lines = items
+    .filter(item => hasAnyTag(item.food, coupon.tags))
+    // Unit prices include the options chosen for the line.
+    .map(item => ({ price: item.price / item.quantity, quantity: item.quantity }))
+    .sort((a, b) => a.price - b.price);
+
+  const units = lines.reduce((sum, line) => sum + line.quantity, 0);
+  let free = Math.floor(units / (coupon.buyQuantity + coupon.getQuantity)) * coupon.getQuantity;
+  let amount = 0;
+
+  for (const line of lines) {
+    if (!free) break;
+    const count = Math.min(free, line.quantity);
+    amount += count * line.price;
+    free -= count;
+  }
+
+  return amount;
+};
+
+/**
+ * Discount `coupon` gives on priced order items. `amount` is taken off the
+ * items, `deliveryAmount` off the delivery fee.
+ */
+export const computeDiscount = (coupon, { items, subtotal, deliveryFee = 0 }) => {
+  let amount = 0;
+  let deliveryAmount = 0;
+
+  switch (coupon.type) {
+    case CouponType.PERCENTAGE:
+      amount = (subtotal * coupon.value) / 100;
+      if (coupon.maxDiscount !== undefined && coupon.maxDiscount !== null) {
+        amount = Math.min(amount, coupon.maxDiscount);
+      }
+      break;
+    case CouponType.FIXED_AMOUNT:
+      amount = coupon.value;
+      break;
+    case CouponType.FREE_DELIVERY:
+      deliveryAmount = deliveryFee;
+      break;
+    case CouponType.BUY_X_GET_Y:
+      amount = buyXGetYDiscount(coupon, items);
+      break;
+  }
+
+  return {
+    amount: roundPrice(Math.min(amount, subtotal)),
+    deliveryAmount: roundPrice(deliveryAmount),
+  };
+};
+
+const couponError = (message, code, extra) => new BadRequestError(message, { code, extra });
+
+const userLimitReached = () => couponError('You already used this coupon', 'COUPON_USER_LIMIT');
+
+const checkCoupon = async (coupon, { userId, subtotal, now = new Date() }) => {
+  if (!coupon.active) throw couponError('Coupon is no longer active', 'COUPON_INACTIVE');
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw couponError('Coupon is not valid yet', 'COUPON_NOT_STARTED', { startsAt: coupon.startsAt });
+  }
+  if (coupon.endsAt && coupon.endsAt < now) {
+    throw couponError('Coupon has expired', 'COUPON_EXPIRED', { endsAt: coupon.endsAt });
+  }
+  if (subtotal < (coupon.minOrderTotal ?? 0)) {
+    throw couponError(`Coupon requires an order total of at least ${coupon.minOrderTotal}`, 'COUPON_MIN_TOTAL', {
+      minOrderTotal: coupon.minOrderTotal,
+    });
+  }
+  if (coupon.maxUses && coupon.usedCount >= coupon.maxUses) {
+    throw new ConflictError('Coupon usage limit reached', { code: 'COUPON_EXHAUSTED' });
+  }
+
+  if (coupon.maxUsesPerUser && userId) {
+    const usage = await CouponUsageModel.findOne({ coupon: coupon._id, user: userId });
+    if ((usage?.count ?? 0) >= coupon.maxUsesPerUser) throw userLimitReached();
+  }
+};
+
+/**
+ * Validates `code` for an order of `userId` and works out its effect.
+ * Resolves to `{ coupon, discount }` where `discount` is the breakdown stored
+ * on the order, throws when the coupon cannot be used.
+ */
+export const applyCoupon = async ({ code, userId, items, subtotal, deliveryFee = 0 }) => {
+  const coupon = await CouponModel.findOne({ code: normalizeCouponCode(code) });
+  if (!coupon) throw new NotFoundError('Coupon not found', { code: 'COUPON_NOT_FOUND' });
+
+  await checkCoupon(coupon, { userId, subtotal });
+
+  const { amount, deliveryAmount } = computeDiscount(coupon, { items, subtotal, deliveryFee });
+  if (coupon.type === CouponType.BUY_X_GET_Y && !amount) {
+    throw couponError(
+      `Add ${coupon.buyQuantity + coupon.getQuantity} matching items to use this coupon`,
+      'COUPON_NOT_APPLICABLE'
+    );
+  }
+
+  return {
+    coupon,
+    discount: {
+      coupon: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      description: coupon.description,
+      amount,
+      deliveryAmount,
+    },
+  };
+};
+
+// Counts one use of the user, unless they reached their limit in the meantime.
+const redeemUserUse = async (coupon, userId) => {
+  const usage = { coupon: coupon._id, user: userId };
+
+  try {
+    await CouponUsageModel.updateOne(usage, { $setOnInsert: { count: 0 } }, { upsert: true });
+  } catch (error) {
+    // Created by a concurrent order of the same user.
+    if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+  }
+
+  const filter = coupon.maxUsesPerUser ? { ...usage, count: { $lt: coupon.maxUsesPerUser } } : usage;
+  const { modifiedCount } = await CouponUsageModel.updateOne(filter, { $inc: { count: 1 } });
+  if (!modifiedCount) throw userLimitReached();
+};
+
+const releaseUserUse = (couponId, userId) =>
+  CouponUsageModel.updateOne(
+    { coupon: couponId, user: userId, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+
+/**
+ * Counts one use of the coupon by `userId`, unless the overall or the user's
+ * limit was reached in the meantime.
+ */
+export const redeemCoupon = async (coupon, userId) => {
+  if (userId) await redeemUserUse(coupon, userId);
+
+  const filter = { _id: coupon._id, active: true };
+  if (coupon.maxUses) filter.usedCount = { $lt: coupon.maxUses };
+
+  const updated = await CouponModel.findOneAndUpdate(filter, { $inc: { usedCount: 1 } });
+  if (!updated) {
+    if (userId) await releaseUserUse(coupon._id, userId);
+    throw new ConflictError('Coupon usage limit reached', { code: 'COUPON_EXHAUSTED' });
+  }
+};
+
+export const releaseCoupon = async (couponId, userId) => {
+  await CouponModel.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  if (userId) await releaseUserUse(couponId, userId);
+};
+
+/**
+ * Checks that the fields a coupon type relies on are set and consistent.
+ * Throws a ValidationError listing every problem.
+ */
+export const checkCouponDefinition = coupon => {
+  const errors = [];
+  const error = (param, message) => errors.push({ in: 'body', param, message });
+
+  if (coupon.type === CouponType.PERCENTAGE && !(coupon.value > 0 && coupon.value <= 100)) {
+    error('value', 'Percentage coupons need a value between 0 and 100');
+  }
+  if (coupon.type === CouponType.FIXED_AMOUNT && !(coupon.value > 0)) {
+    error('value', 'Fixed amount coupons need a positive value');
+  }
+  if (coupon.type === CouponType.BUY_X_GET_Y) {
+    if (!Number.isInteger(coupon.buyQuantity) || coupon.buyQuantity < 1) {
+      error('buyQuantity', 'Buy X get Y coupons need a positive integer buyQuantity');
+    }
+    if (!Number.isInteger(coupon.getQuantity) || coupon.getQuantity < 1) {
+      error('getQuantity', 'Buy X get Y coupons need a positive integer getQuantity');
+    }
+  }
+  if (coupon.startsAt && coupon.endsAt && coupon.endsAt <= coupon.startsAt) {
+    error('endsAt', 'Must be after startsAt');
+  }
+
+  if (errors.length) {
+    throw new ValidationError('Invalid coupon', errors, { code: 'INVALID_COUPON' });
+  }
+};
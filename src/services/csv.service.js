@@ -0,0 +1,85 @@
+// Spreadsheet apps run cells starting with these as formulas.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = value => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes `rows` to CSV. `columns` lists the keys to write, in order,
+ * and doubles as the header line. Arrays are joined with `;`.
+ */
+export const toCsv = (rows, columns) =>
+  [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(formatCell).join(','))
+    .join('\r\n') + '\r\n';
+
+// Undoes the quote `formatCell` puts in front of formula-like cells.
+const ESCAPED_FORMULA = /^'[=+\-@\t\r]/;
+
+const splitRecords = text => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error('Unterminated quoted cell');
+  if (cell !== '' || record.length) records.push([...record, cell]);
+
+  return records;
+};
+
+/**
+ * Parses CSV as written by `toCsv`: the first line names the columns, every
+ * other non-empty line becomes an object keyed by them. Throws an Error on
+ * unterminated quotes.
+ */
+export const parseCsv = text => {
+  const [header = [], ...records] = splitRecords(String(text).replace(/^\uFEFF/, ''));
+  const columns = header.map(column => column.trim());
+
+  return records
+    .filter(record => record.some(cell => cell.trim() !== ''))
+    .map(record =>
+      Object.fromEntries(
+        columns.map((column, index) => {
+          const cell = record[index] ?? '';
+          return [column, ESCAPED_FORMULA.test(cell) ? cell.slice(1) : cell];
+        })
+      )
+    );
+};
@@ -0,0 +1,95 @@
+import { configDelivery } from '../config/delivery.config.js';
+import { BadRequestError } from '../errors/http.error.js';
+import { roundPrice } from './order.service.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two `{ lat, lng }` points.
+export const haversineKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Ray casting, `polygon` is a list of [lat, lng] corners.
+export const isInsidePolygon = ({ lat, lng }, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const crosses =
+      lngI > lng !== lngJ > lng && lat < ((latJ - latI) * (lng - lngI)) / (lngJ - lngI) + latI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Reads `{ lat, lng }` sent as numbers or numeric strings (orders store them
+ * as strings). Throws when they are not valid coordinates.
+ */
+export const parseLatLng = latLng => {
+  const lat = Number(latLng?.lat);
+  const lng = Number(latLng?.lng);
+
+  if (
+    latLng?.lat === '' || latLng?.lng === '' ||
+    !Number.isFinite(lat) || !Number.isFinite(lng) ||
+    Math.abs(lat) > 90 || Math.abs(lng) > 180
+  ) {
+    throw new BadRequestError('Invalid delivery location', { code: 'INVALID_LOCATION' });
+  }
+
+  return { lat, lng };
+};
+
+const matchesZone = (zone, point, distanceKm) =>
+  zone.polygon ? isInsidePolygon(point, zone.polygon) : distanceKm <= zone.radiusKm;
+
+/**
+ * Works out whether `latLng` is served and what delivery costs there.
+ * Resolves to `{ enabled, serviceable, zone, distanceKm, fee }`, `enabled` is
+ * false (and delivery free) while no restaurant location is configured.
+ */
+export const quoteDelivery = latLng => {
+  const point = parseLatLng(latLng);
+  const { origin, zones, baseFee, feePerKm } = configDelivery();
+
+  if (!origin) {
+    return { enabled: false, serviceable: true, zone: null, distanceKm: null, fee: 0 };
+  }
+
+  const distanceKm = haversineKm(origin, point);
+  const zone = zones.find(candidate => matchesZone(candidate, point, distanceKm));
+  const quote = {
+    enabled: true,
+    serviceable: Boolean(zone),
+    zone: zone?.name ?? null,
+    distanceKm: Math.round(distanceKm * 100) / 100,
+    fee: null,
+  };
+
+  if (zone) {
+    quote.fee = roundPrice((zone.baseFee ?? baseFee) + distanceKm * (zone.feePerKm ?? feePerKm));
+  }
+
+  return quote;
+};
+
+// Like `quoteDelivery`, but throws when the location is not served.
+export const requireDelivery = latLng => {
+  const quote = quoteDelivery(latLng);
+  if (!quote.serviceable) {
+    throw new BadRequestError('We do not deliver to this address yet', {
+      code: 'OUTSIDE_DELIVERY_ZONE',
+      extra: { distanceKm: quote.distanceKm },
+    });
+  }
+  return quote;
+};
@@ -0,0 +1,38 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Publish/subscribe bus for events that other requests (or, once backed by a
+ * message broker, other processes) react to. A broker backed bus implements
+ * the same interface:
+ *
+ * - `publish(channel, event)` delivers `event` to every subscriber of
+ *   `channel` and resolves once it was handed over
+ * - `subscribe(channel, listener)` calls `listener(event)` for every event
+ *   published on `channel` and returns a function that unsubscribes
+ */
+export const createMemoryEventBus = () => {
+  const emitter = new EventEmitter();
+  // Every open stream subscribes, so the default limit of 10 is too low.
+  emitter.setMaxListeners(0);
+
+  return {
+    async publish(channel, event) {
+      emitter.emit(channel, event);
+    },
+    subscribe(channel, listener) {
+      emitter.on(channel, listener);
+      return () => emitter.off(channel, listener);
+    },
+  };
+};
+
+let bus = null;
+
+export const setEventBus = value => {
+  bus = value;
+};
+
+export const getEventBus = () => {
+  if (!bus) bus = createMemoryEventBus();
+  return bus;
+};
@@ -0,0 +1,47 @@
+import { isValidObjectId } from 'mongoose';
+import { FoodModel, NOT_ARCHIVED } from '../models/food.model.js';
+import { UserModel } from '../models/user.model.js';
+import { ConflictError, NotFoundError } from '../errors/http.error.js';
+
+export const MAX_FAVORITES = 200;
+
+export const getFavoriteIds = async userId => {
+  const user = await UserModel.findById(userId, { favorites: 1 });
+  return (user?.favorites ?? []).map(String);
+};
+
+/**
+ * Adds the caller's `favorite` flag to foods (documents or plain objects).
+ * Anonymous callers get the foods unchanged.
+ */
+export const annotateFavorites = async (foods, userId) => {
+  if (!userId) return foods;
+
+  const favorites = new Set(await getFavoriteIds(userId));
+  return foods.map(food => {
+    const plain = typeof food.toJSON === 'function' ? food.toJSON() : food;
+    return { ...plain, favorite: favorites.has(String(plain._id)) };
+  });
+};
+
+export const addFavorite = async (userId, foodId) => {
+  const exists = isValidObjectId(foodId) && (await FoodModel.exists({ ...NOT_ARCHIVED, _id: foodId }));
+  if (!exists) throw new NotFoundError('Food not found', { code: 'FOOD_NOT_FOUND' });
+
+  // The size check only lets users below the limit add new foods.
+  const result = await UserModel.updateOne(
+    { _id: userId, [`favorites.${MAX_FAVORITES - 1}`]: { $exists: false } },
+    { $addToSet: { favorites: foodId } }
+  );
+
+  if (!result.matchedCount && !(await getFavoriteIds(userId)).includes(String(foodId))) {
+    throw new ConflictError(`At most ${MAX_FAVORITES} foods can be favorites`, {
+      code: 'FAVORITES_LIMIT',
+    });
+  }
+};
+
+export const removeFavorite = async (userId, foodId) => {
+  if (!isValidObjectId(foodId)) throw new NotFoundError('Food not found', { code: 'FOOD_NOT_FOUND' });
+  await UserModel.updateOne({ _id: userId }, { $pull: { favorites: foodId } });
+};
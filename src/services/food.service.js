@@ -0,0 +1,170 @@
+import { Error as MongooseError, isValidObjectId } from 'mongoose';
+import { FoodModel, NOT_ARCHIVED } from '../models/food.model.js';
+import { FoodVersionAction, FoodVersionModel } from '../models/foodVersion.model.js';
+import { ConflictError, NotFoundError } from '../errors/http.error.js';
+import { checkOptionGroups } from './foodOption.service.js';
+
+// Fields staff edit in the catalog. Stock and ratings change too often to be versioned.
+export const VERSIONED_FIELDS = [
+  'sku',
+  'name',
+  'price',
+  'tags',
+  'featured',
+  'imageUrl',
+  'origins',
+  'cookTime',
+  'optionGroups',
+];
+
+const foodNotFound = () => new NotFoundError('Food not found', { code: 'FOOD_NOT_FOUND' });
+
+const versionConflict = () =>
+  new ConflictError('The food was changed meanwhile, reload it and try again', {
+    code: 'FOOD_VERSION_CONFLICT',
+  });
+
+/**
+ * Food with id `foodId` as customers see it, archived foods only with
+ * `includeArchived`. Throws a NotFoundError otherwise.
+ */
+export const findFoodOrThrow = async (foodId, { includeArchived = false, session } = {}) => {
+  const filter = includeArchived ? { _id: foodId } : { ...NOT_ARCHIVED, _id: foodId };
+  const food = isValidObjectId(foodId) ? await FoodModel.findOne(filter, null, { session }) : null;
+  if (!food) throw foodNotFound();
+  return food;
+};
+
+const getSnapshot = food => {
+  const plain = food.toObject({ virtuals: false });
+  return Object.fromEntries(VERSIONED_FIELDS.map(field => [field, plain[field]]));
+};
+
+// Through JSON, ObjectIds and subdocuments compare by value.
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const getChanges = (before, after) =>
+  VERSIONED_FIELDS.filter(field => !isSame(before[field], after[field])).map(field => ({
+    field,
+    from: before[field],
+    to: after[field],
+  }));
+
+/**
+ * Saves `food` as its next version and records it in the history, `before`
+ * is the snapshot the changes are computed against. Saving only succeeds if
+ * nobody saved another version since the food was read.
+ */
+const saveVersion = async (food, action, { before, by = null, revertedTo, session }) => {
+  const { version } = food;
+  food.version = version + 1;
+  food.$where = { version };
+
+  try {
+    await food.save({ session });
+  } catch (error) {
+    if (error instanceof MongooseError.DocumentNotFoundError) throw versionConflict();
+    throw error;
+  }
+
+  const snapshot = getSnapshot(food);
+  await new FoodVersionModel({
+    food: food._id,
+    version: food.version,
+    action,
+    changes: getChanges(before, snapshot),
+    snapshot,
+    revertedTo,
+    by,
+  }).save({ session });
+
+  return food;
+};
+
+const pickDefined = fields =>
+  Object.fromEntries(
+    VERSIONED_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]])
+  );
+
+export const createFood = async (fields, userId, { session } = {}) => {
+  checkOptionGroups(fields.optionGroups);
+
+  const food = new FoodModel({ ...pickDefined(fields), version: 1 });
+  await food.save({ session });
+
+  const snapshot = getSnapshot(food);
+  await new FoodVersionModel({
+    food: food._id,
+    version: food.version,
+    action: FoodVersionAction.CREATED,
+    changes: getChanges({}, snapshot),
+    snapshot,
+    by: userId,
+  }).save({ session });
+
+  return food;
+};
+
+// Copy of `food` with the versioned `fields` applied, `food` itself is left as is.
+export const previewFood = (food, fields) =>
+  FoodModel.hydrate(food.toObject({ virtuals: false })).set(pickDefined(fields));
+
+// Names of the fields applying `fields` to `food` would change.
+export const getChangedFields = (food, fields) =>
+  getChanges(getSnapshot(food), getSnapshot(previewFood(food, fields))).map(change => change.field);
+
+/**
+ * Applies the versioned `fields` that are sent to the food. `expectedVersion`,
+ * when sent, must be the food's current version so stale edits are rejected.
+ * Edits that change nothing do not create a version.
+ */
+export const updateFood = async (foodId, fields, userId, { expectedVersion, session } = {}) => {
+  checkOptionGroups(fields.optionGroups);
+
+  const food = await findFoodOrThrow(foodId, { session });
+  if (expectedVersion !== undefined && expectedVersion !== food.version) throw versionConflict();
+
+  const before = getSnapshot(food);
+  food.set(pickDefined(fields));
+  if (!getChanges(before, getSnapshot(food)).length) return food;
+
+  return saveVersion(food, FoodVersionAction.UPDATED, { before, by: userId, session });
+};
+
+// Soft delete, the food is hidden and can no longer be ordered.
+export const archiveFood = async (foodId, userId) => {
+  const food = await findFoodOrThrow(foodId);
+
+  food.archivedAt = new Date();
+  food.archivedBy = userId;
+  return saveVersion(food, FoodVersionAction.ARCHIVED, { before: getSnapshot(food), by: userId });
+};
+
+export const unarchiveFood = async (foodId, userId) => {
+  const food = await findFoodOrThrow(foodId, { includeArchived: true });
+  if (!food.archivedAt) {
+    throw new ConflictError('Food is not archived', { code: 'FOOD_NOT_ARCHIVED' });
+  }
+
+  food.archivedAt = null;
+  food.archivedBy = undefined;
+  return saveVersion(food, FoodVersionAction.UNARCHIVED, { before: getSnapshot(food), by: userId });
+};
+
+/**
+ * Sets the versioned fields of the food back to those of `version`, as a new
+ * version. Archived foods stay archived.
+ */
+export const revertFood = async (foodId, version, userId) => {
+  const food = await findFoodOrThrow(foodId, { includeArchived: true });
+  const target = await FoodVersionModel.findOne({ food: food._id, version });
+  if (!target) {
+    throw new NotFoundError('Food version not found', { code: 'FOOD_VERSION_NOT_FOUND' });
+  }
+
+  const before = getSnapshot(food);
+  // Fields missing from older snapshots were not set back then.
+  food.set(Object.fromEntries(VERSIONED_FIELDS.map(field => [field, target.snapshot[field]])));
+
+  return saveVersion(food, FoodVersionAction.REVERTED, { before, by: userId, revertedTo: version });
+};
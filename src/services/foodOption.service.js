@@ -0,0 +1,82 @@
+import { ValidationError } from '../errors/http.error.js';
+
+/**
+ * Checks the option groups of a food (as sent by admins), throws a
+ * ValidationError listing every problem.
+ */
+export const checkOptionGroups = groups => {
+  const errors = [];
+  const error = (param, message) => errors.push({ in: 'body', param, message });
+  const groupNames = new Set();
+
+  (groups ?? []).forEach((group, index) => {
+    const param = `optionGroups.${index}`;
+    const options = group.options ?? [];
+    const minSelect = group.minSelect ?? 0;
+    const maxSelect = group.maxSelect ?? 1;
+
+    if (groupNames.has(group.name)) error(`${param}.name`, `Duplicate option group ${group.name}`);
+    groupNames.add(group.name);
+
+    if (!options.length) error(`${param}.options`, 'Option groups need at least one option');
+    if (new Set(options.map(option => option.name)).size !== options.length) {
+      error(`${param}.options`, 'Option names must be unique within a group');
+    }
+    if (maxSelect < minSelect) error(`${param}.maxSelect`, 'Must not be below minSelect');
+    if (minSelect > options.length) error(`${param}.minSelect`, 'Must not exceed the number of options');
+  });
+
+  if (errors.length) {
+    throw new ValidationError('Invalid option groups', errors, { code: 'INVALID_OPTION_GROUPS' });
+  }
+};
+
+// Order lines send option ids, or the option objects of a previous order.
+const getOptionId = choice => String(choice?.option ?? choice);
+
+/**
+ * Resolves the options chosen for `food` to the snapshots stored on order
+ * lines, in the order the food defines them. Returns
+ * `{ options, errors }` where `errors` lists messages for invalid choices:
+ * unknown or repeated options and groups outside their min/max selection.
+ */
+export const selectOptions = (food, choices = []) => {
+  const ids = (choices ?? []).map(getOptionId);
+  const errors = [];
+  const options = [];
+
+  if (new Set(ids).size !== ids.length) errors.push('Options can only be chosen once');
+
+  for (const group of food.optionGroups ?? []) {
+    const chosen = group.options.filter(option => ids.includes(String(option._id)));
+    const minSelect = group.minSelect ?? 0;
+    const maxSelect = group.maxSelect ?? 1;
+
+    if (chosen.length < minSelect) errors.push(`Choose at least ${minSelect} of ${group.name}`);
+    if (chosen.length > maxSelect) errors.push(`Choose at most ${maxSelect} of ${group.name}`);
+
+    for (const option of chosen) {
+      options.push({
+        group: group._id,
+        groupName: group.name,
+        option: option._id,
+        name: option.name,
+        priceDelta: option.priceDelta ?? 0,
+      });
+    }
+  }
+
+  const known = new Set(options.map(option => String(option.option)));
+  for (const id of ids) {
+    if (!known.has(id)) errors.push(`Unknown option ${id}`);
+  }
+
+  return { options, errors };
+};
+
+export const getOptionsPrice = options =>
+  (options ?? []).reduce((sum, option) => sum + option.priceDelta, 0);
+
+// Identifies a cart line, lines of the same food with other options are separate.
+export const getLineKey = (foodId, optionIds = []) =>
+  [String(foodId), ...[...(optionIds ?? [])].map(String).sort()].join('~');
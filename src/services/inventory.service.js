@@ -0,0 +1,283 @@
+import { isValidObjectId } from 'mongoose';
+import { FoodModel, NOT_ARCHIVED } from '../models/food.model.js';
+import { OrderStatus } from '../constants/orderStatus.js';
+import { configInventory } from '../config/inventory.config.js';
+import { ConflictError, NotFoundError } from '../errors/http.error.js';
+
+export const UnavailableReason = {
+  DISABLED: 'DISABLED',
+  OUTSIDE_HOURS: 'OUTSIDE_HOURS',
+  SOLD_OUT: 'SOLD_OUT',
+  DAILY_LIMIT_REACHED: 'DAILY_LIMIT_REACHED',
+  NOT_ENOUGH_LEFT: 'NOT_ENOUGH_LEFT',
+};
+
+// Stock goes back when an order fails or is cancelled before it was shipped,
+// after that the food has been cooked.
+const STOCK_RELEASING_STATUSES = [OrderStatus.FAILED, OrderStatus.CANCELLED];
+const STOCK_HELD_STATUSES = [OrderStatus.PENDING, OrderStatus.PAID];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Day (YYYY-MM-DD), weekday (0 is Sunday) and minutes since midnight of
+ * `date` on the restaurant's clock.
+ */
+export const getLocalTime = (date = new Date(), timeZone = configInventory().timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+const isInWindow = ({ days, from, to }, { weekday, minutes }) => {
+  const start = toMinutes(from);
+  const end = toMinutes(to);
+  const onDay = day => !days?.length || days.includes(day);
+
+  if (start <= end) return onDay(weekday) && minutes >= start && minutes < end;
+  // Past midnight the window belongs to the day it started on.
+  return (onDay(weekday) && minutes >= start) || (onDay((weekday + 6) % 7) && minutes < end);
+};
+
+const soldOn = (food, day) => (food.dailySoldOn === day ? food.dailySold ?? 0 : 0);
+
+// Portions that can still be ordered today, null when unlimited.
+const getRemaining = (food, day) => {
+  const limits = [];
+  if (typeof food.stock === 'number') limits.push(food.stock);
+  if (typeof food.dailyLimit === 'number') limits.push(food.dailyLimit - soldOn(food, day));
+
+  return limits.length ? Math.max(0, Math.min(...limits)) : null;
+};
+
+/**
+ * Whether `food` can be ordered at `now`. Resolves to
+ * `{ available, reason, remaining }`, `reason` is one of UnavailableReason
+ * and `remaining` is null for foods without stock or daily limit.
+ */
+export const getAvailability = (food, now = new Date()) => {
+  const local = getLocalTime(now);
+  const remaining = getRemaining(food, local.day);
+  const unavailable = reason => ({ available: false, reason, remaining });
+
+  if (food.available === false) return unavailable(UnavailableReason.DISABLED);
+  if (food.availability?.length && !food.availability.some(window => isInWindow(window, local))) {
+    return unavailable(UnavailableReason.OUTSIDE_HOURS);
+  }
+  if (remaining === 0) {
+    return unavailable(
+      food.stock === 0 ? UnavailableReason.SOLD_OUT : UnavailableReason.DAILY_LIMIT_REACHED
+    );
+  }
+
+  return { available: true, reason: null, remaining };
+};
+
+// Plain copy of the food with `availableNow` and `unavailableReason` for customers.
+export const withAvailability = food => {
+  const plain = typeof food.toJSON === 'function' ? food.toJSON() : food;
+  const { available, reason } = getAvailability(plain);
+  return { ...plain, availableNow: available, unavailableReason: reason };
+};
+
+// Like `getAvailability`, but also checks that `quantity` portions are left.
+export const checkOrderable = (food, quantity) => {
+  const availability = getAvailability(food);
+  if (availability.available && availability.remaining !== null && quantity > availability.remaining) {
+    return { ...availability, available: false, reason: UnavailableReason.NOT_ENOUGH_LEFT };
+  }
+  return availability;
+};
+
+const sumQuantities = items => {
+  const quantities = new Map();
+  for (const item of items) {
+    const foodId = String(item.food._id ?? item.food.id);
+    quantities.set(foodId, (quantities.get(foodId) ?? 0) + item.quantity);
+  }
+  return quantities;
+};
+
+const soldToday = day => ({
+  $cond: [{ $eq: ['$dailySoldOn', day] }, { $ifNull: ['$dailySold', 0] }, 0],
+});
+
+const takeStock = (foodId, quantity, day) =>
+  FoodModel.updateOne(
+    {
+      _id: foodId,
+      available: { $ne: false },
+      $expr: {
+        $and: [
+          { $or: [{ $not: [{ $isNumber: '$stock' }] }, { $gte: ['$stock', quantity] }] },
+          {
+            $or: [
+              { $not: [{ $isNumber: '$dailyLimit' }] },
+              { $lte: [{ $add: [soldToday(day), quantity] }, '$dailyLimit'] },
+            ],
+          },
+        ],
+      },
+    },
+    [
+      {
+        $set: {
+          stock: { $cond: [{ $isNumber: '$stock' }, { $subtract: ['$stock', quantity] }, '$stock'] },
+          dailySold: { $add: [soldToday(day), quantity] },
+          dailySoldOn: day,
+        },
+      },
+    ]
+  );
+
+const returnStock = (foodId, quantity, day) =>
+  FoodModel.updateOne({ _id: foodId }, [
+    {
+      $set: {
+        stock: { $cond: [{ $isNumber: '$stock' }, { $add: ['$stock', quantity] }, '$stock'] },
+        dailySold: {
+          $cond: [
+            { $eq: ['$dailySoldOn', day] },
+            { $max: [0, { $subtract: ['$dailySold', quantity] }] },
+            '$dailySold',
+          ],
+        },
+      },
+    },
+  ]);
+
+/**
+ * Takes the portions of priced order `items` from stock and the daily
+ * limits, all or nothing. Resolves to the restaurant day to pass to
+ * `releaseStock`, throws a ConflictError when a food ran out meanwhile.
+ */
+export const reserveStock = async items => {
+  const { day } = getLocalTime();
+  const taken = [];
+
+  for (const [foodId, quantity] of sumQuantities(items)) {
+    const { matchedCount } = await takeStock(foodId, quantity, day);
+    if (!matchedCount) {
+      await Promise.all(taken.map(([id, count]) => returnStock(id, count, day)));
+      throw new ConflictError('Some items sold out while you were ordering', {
+        code: 'OUT_OF_STOCK',
+        extra: { foodId },
+      });
+    }
+    taken.push([foodId, quantity]);
+  }
+
+  return day;
+};
+
+export const releaseStock = async (items, day) => {
+  await Promise.all(
+    [...sumQuantities(items)].map(([foodId, quantity]) => returnStock(foodId, quantity, day))
+  );
+};
+
+export const shouldReleaseStock = (from, to) =>
+  STOCK_HELD_STATUSES.includes(from) && STOCK_RELEASING_STATUSES.includes(to);
+
+// Inventory fields of a food with its current availability, as shown to staff.
+export const toInventoryView = (food, now = new Date()) => {
+  const { day } = getLocalTime(now);
+  const { available: availableNow, reason, remaining } = getAvailability(food, now);
+
+  return {
+    foodId: food.id,
+    name: food.name,
+    available: food.available !== false,
+    availability: food.availability ?? [],
+    stock: food.stock ?? null,
+    dailyLimit: food.dailyLimit ?? null,
+    soldToday: soldOn(food, day),
+    remaining,
+    availableNow,
+    unavailableReason: reason,
+  };
+};
+
+export const findFoodInventory = async foodId => {
+  const food = isValidObjectId(foodId) ? await FoodModel.findOne({ ...NOT_ARCHIVED, _id: foodId }) : null;
+  if (!food) throw new NotFoundError('Food not found', { code: 'FOOD_NOT_FOUND' });
+  return food;
+};
+
+/**
+ * Applies `{ available, availability, stock, dailyLimit }`, null clears the
+ * stock or daily limit (unlimited). Fields that are not sent are kept.
+ */
+export const updateInventory = async (foodId, { available, availability, stock, dailyLimit }) => {
+  const food = await findFoodInventory(foodId);
+
+  if (available !== undefined) food.available = available;
+  if (availability !== undefined) food.availability = availability;
+  if (stock !== undefined) food.stock = stock ?? undefined;
+  if (dailyLimit !== undefined) food.dailyLimit = dailyLimit ?? undefined;
+
+  return food.save();
+};
+
+// Adds `delta` portions (negative to remove some) to a food with tracked stock.
+export const adjustStock = async (foodId, delta) => {
+  const food = await findFoodInventory(foodId);
+  if (typeof food.stock !== 'number') {
+    throw new ConflictError('Stock is not tracked for this food, set it first', {
+      code: 'STOCK_NOT_TRACKED',
+    });
+  }
+
+  const updated = await FoodModel.findOneAndUpdate(
+    { _id: food._id, stock: { $gte: -delta } },
+    { $inc: { stock: delta } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ConflictError('Stock cannot go below zero', { code: 'INSUFFICIENT_STOCK' });
+  }
+  return updated;
+};
+
+/**
+ * Foods that are sold out, switched off or have `threshold` portions or
+ * fewer left today, the emptiest first.
+ */
+export const findLowStock = async (threshold = configInventory().lowStockThreshold) => {
+  const foods = await FoodModel.find({
+    ...NOT_ARCHIVED,
+    $or: [
+      { available: false },
+      { stock: { $lte: threshold } },
+      { dailyLimit: { $exists: true } },
+    ],
+  });
+
+  return foods
+    .map(food => toInventoryView(food))
+    .filter(view => !view.available || (view.remaining !== null && view.remaining <= threshold))
+    .sort((a, b) => (a.remaining ?? Infinity) - (b.remaining ?? Infinity));
+};
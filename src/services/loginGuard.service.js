@@ -0,0 +1,55 @@
+import { configLoginGuard } from '../config/rateLimit.config.js';
+import { getRateLimitStore } from './rateLimitStore.service.js';
+
+// An IP is shared by many accounts behind NAT, so it gets more room.
+const IP_FAILURE_FACTOR = 4;
+
+const subjects = (email, ip) => [
+  { key: `account:${String(email ?? '').toLowerCase()}`, factor: 1 },
+  { key: `ip:${ip}`, factor: IP_FAILURE_FACTOR },
+];
+
+/**
+ * Seconds until the account or the IP may try to login again, 0 when
+ * neither is locked.
+ */
+export const getLoginRetryAfter = async (email, ip) => {
+  const store = getRateLimitStore();
+  let retryAfter = 0;
+
+  for (const { key } of subjects(email, ip)) {
+    const lock = await store.get(`login-lock:${key}`);
+    if (lock) retryAfter = Math.max(retryAfter, Math.ceil((lock.resetAt - Date.now()) / 1000));
+  }
+
+  return retryAfter;
+};
+
+/**
+ * Counts a failed password check. Past the allowed failures every further one
+ * locks the account (or IP) for twice as long as the previous lock.
+ */
+export const recordLoginFailure = async (email, ip) => {
+  const { maxFailures, failureWindowMs, baseLockMs, maxLockMs } = configLoginGuard();
+  const store = getRateLimitStore();
+
+  for (const { key, factor } of subjects(email, ip)) {
+    const { count } = await store.increment(`login-fail:${key}`, failureWindowMs);
+    const allowed = maxFailures * factor;
+
+    if (count >= allowed) {
+      const lockMs = Math.min(baseLockMs * 2 ** (count - allowed), maxLockMs);
+      await store.set(`login-lock:${key}`, count, lockMs);
+    }
+  }
+};
+
+// After a successful login neither the account nor the IP keeps counting towards a lock.
+export const clearLoginFailures = async (email, ip) => {
+  const store = getRateLimitStore();
+
+  for (const { key } of subjects(email, ip)) {
+    await store.reset(`login-fail:${key}`);
+    await store.reset(`login-lock:${key}`);
+  }
+};
@@ -0,0 +1,90 @@
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { configMail } from '../config/mail.config.js';
+
+/**
+ * A transport is anything with `send({ from, to, subject, text, html })`.
+ * `memory` keeps the mails in `sent` and is meant for local development and
+ * tests, `file` writes one JSON file per mail and is used until SMTP is set up.
+ */
+export const createMemoryTransport = () => {
+  const sent = [];
+  return {
+    sent,
+    async send(mail) {
+      sent.push({ ...mail, sentAt: new Date() });
+    },
+  };
+};
+
+export const createFileTransport = dir => ({
+  async send(mail) {
+    await mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${mail.to.replace(/[^\w.@-]/g, '_')}.json`;
+    await writeFile(path.join(dir, fileName), JSON.stringify(mail, null, 2));
+  },
+});
+
+export const createSmtpTransport = options => {
+  const transporter = nodemailer.createTransport(options);
+  return {
+    send: mail => transporter.sendMail(mail),
+  };
+};
+
+const createTransport = config => {
+  switch (config.transport) {
+    case 'smtp':
+      if (!config.smtp.host) {
+        throw new Error('SMTP_HOST is not set, configure SMTP or set MAIL_TRANSPORT to file or memory');
+      }
+      return createSmtpTransport(config.smtp);
+    case 'file':
+      if (config.defaultTransport) {
+        console.warn(`SMTP_HOST is not set, mails are written to ${config.fileDir} instead of being sent`);
+      }
+      return createFileTransport(config.fileDir);
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT ${config.transport}, use smtp, file or memory`);
+  }
+};
+
+let transport = null;
+
+export const setMailTransport = value => {
+  transport = value;
+};
+
+export const getMailTransport = () => {
+  if (!transport) transport = createTransport(configMail());
+  return transport;
+};
+
+export const sendMail = mail =>
+  getMailTransport().send({ from: configMail().from, ...mail });
+
+export const sendPasswordResetMail = (user, token) => {
+  const link = `${configMail().appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nUse this link to choose a new password: ${link}\n\nIt expires in one hour. If you did not ask for it, ignore this mail.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${link}">Choose a new password</a>. The link expires in one hour.</p><p>If you did not ask for it, ignore this mail.</p>`,
+  });
+};
+
+export const sendEmailVerificationMail = (user, token) => {
+  const link = `${configMail().appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.name},\n\nConfirm your email address to start ordering: ${link}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${link}">Confirm your email address</a> to start ordering.</p>`,
+  });
+};
+
+const escapeHtml = value =>
+  String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
@@ -0,0 +1,315 @@
+import { isValidObjectId } from 'mongoose';
+import { FoodModel, NOT_ARCHIVED } from '../models/food.model.js';
+import { OrderModel } from '../models/order.model.js';
+import {
+  MANAGE_ONLY_FROM_STATUSES,
+  OrderStatus,
+  OrderStatusTransitions,
+} from '../constants/orderStatus.js';
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from '../errors/http.error.js';
+import {
+  applyCoupon,
+  COUPON_RELEASING_STATUSES,
+  redeemCoupon,
+  releaseCoupon,
+} from './coupon.service.js';
+import { parseLatLng, requireDelivery } from './delivery.service.js';
+import { OrderEventType, publishOrderEvent } from './orderEvents.service.js';
+import {
+  checkOrderable,
+  releaseStock,
+  reserveStock,
+  shouldReleaseStock,
+} from './inventory.service.js';
+import { getOptionsPrice, selectOptions } from './foodOption.service.js';
+
+export const roundPrice = value => Math.round(value * 100) / 100;
+
+const getFoodId = item => {
+  const food = item?.food;
+  if (!food) return null;
+  if (typeof food === 'string') return food;
+  return food.id ?? food._id ?? null;
+};
+
+/**
+ * Resolves client supplied order lines against the food catalog.
+ * Prices always come from the current catalog entry, never from the client.
+ * Resolves to the priced items and total, throws a ValidationError listing
+ * every bad line otherwise.
+ */
+export const priceOrderItems = async items => {
+  const errors = [];
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new BadRequestError('Cart Is Empty!', { code: 'CART_EMPTY' });
+  }
+
+  const lines = items.map((item, index) => ({
+    index,
+    foodId: getFoodId(item),
+    quantity: item?.quantity,
+    options: item?.options,
+  }));
+
+  for (const line of lines) {
+    if (!line.foodId || !isValidObjectId(line.foodId)) {
+      errors.push({ index: line.index, foodId: line.foodId, reason: 'Invalid food id' });
+    } else if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+      errors.push({ index: line.index, foodId: line.foodId, reason: 'Quantity must be a positive integer' });
+    } else if (line.options !== undefined && !Array.isArray(line.options)) {
+      errors.push({ index: line.index, foodId: line.foodId, reason: 'Options must be a list' });
+    }
+  }
+
+  const ids = lines.filter(line => isValidObjectId(line.foodId)).map(line => line.foodId);
+  const foods = await FoodModel.find({ ...NOT_ARCHIVED, _id: { $in: ids } });
+  const foodsById = new Map(foods.map(food => [food.id, food]));
+
+  const quantities = new Map();
+  for (const line of lines) {
+    const key = String(line.foodId);
+    if (Number.isInteger(line.quantity)) quantities.set(key, (quantities.get(key) ?? 0) + line.quantity);
+  }
+
+  for (const line of lines) {
+    if (!isValidObjectId(line.foodId)) continue;
+    const food = foodsById.get(String(line.foodId));
+    if (!food) {
+      errors.push({ index: line.index, foodId: line.foodId, reason: 'Food not found' });
+      continue;
+    }
+
+    const { available, reason, remaining } = checkOrderable(food, quantities.get(String(line.foodId)));
+    if (!available) {
+      errors.push({
+        index: line.index,
+        foodId: line.foodId,
+        reason: 'Food is not available',
+        extra: { unavailableReason: reason, remaining },
+      });
+    }
+
+    if (!Array.isArray(line.options ?? [])) continue;
+    const selection = selectOptions(food, line.options);
+    if (selection.errors.length) {
+      errors.push({
+        index: line.index,
+        foodId: line.foodId,
+        reason: 'Invalid options',
+        extra: { optionErrors: selection.errors },
+      });
+    }
+    line.selectedOptions = selection.options;
+  }
+
+  if (errors.length) {
+    errors.sort((a, b) => a.index - b.index);
+    throw new ValidationError(
+      'Order contains invalid items',
+      errors.map(({ index, foodId, reason, extra }) => ({
+        in: 'body',
+        param: `items.${index}`,
+        foodId,
+        message: reason,
+        ...extra,
+      })),
+      { code: 'INVALID_ORDER_ITEMS' }
+    );
+  }
+
+  const pricedItems = lines.map(line => {
+    const food = foodsById.get(String(line.foodId));
+    const options = line.selectedOptions.length ? line.selectedOptions : undefined;
+    return {
+      food: food.toObject(),
+      options,
+      quantity: line.quantity,
+      price: roundPrice((food.price + getOptionsPrice(options)) * line.quantity),
+    };
+  });
+
+  const totalPrice = roundPrice(pricedItems.reduce((sum, item) => sum + item.price, 0));
+
+  return { items: pricedItems, totalPrice };
+};
+
+/**
+ * Maps the body accepted by `PUT /api/orders/:id/status` to a target status.
+ * `isPaid` and `isExpired` are shortcuts kept for older clients.
+ */
+export const resolveRequestedStatus = ({ status, isPaid, isExpired } = {}) => {
+  if (status) return status;
+  if (isExpired) return OrderStatus.FAILED;
+  if (isPaid) return OrderStatus.PAID;
+  return null;
+};
+
+export const canTransition = (from, to) =>
+  (OrderStatusTransitions[from] ?? []).includes(to);
+
+export const createStatusChange = ({ from = null, to, by = null, reason }) => ({
+  from,
+  to,
+  by,
+  reason,
+  at: new Date(),
+});
+
+/**
+ * Prices `items` against the catalog, adds the delivery fee for
+ * `addressLatLng`, applies `couponCode` if any and saves them as a new
+ * PENDING order of `userId`. The portions are taken from stock until the
+ * order fails or is cancelled. Throws when a line, the address or the coupon
+ * is invalid, or when a food sold out meanwhile.
+ */
+export const createOrder = async ({ userId, name, address, addressLatLng, items, couponCode }) => {
+  const { items: pricedItems, totalPrice: subtotal } = await priceOrderItems(items);
+  const { zone, distanceKm, fee: deliveryFee } = requireDelivery(addressLatLng);
+  const { coupon, discount } = couponCode
+    ? await applyCoupon({ code: couponCode, userId, items: pricedItems, subtotal, deliveryFee })
+    : {};
+
+  const order = new OrderModel({
+    name,
+    address,
+    addressLatLng,
+    items: pricedItems,
+    subtotal,
+    delivery: { zone: zone ?? undefined, distanceKm: distanceKm ?? undefined, fee: deliveryFee },
+    discount,
+    totalPrice: roundPrice(
+      subtotal + deliveryFee - (discount?.amount ?? 0) - (discount?.deliveryAmount ?? 0)
+    ),
+    user: userId,
+    statusData: {
+      history: [
+        createStatusChange({
+          to: OrderStatus.PENDING,
+          by: userId,
+          reason: 'Order created',
+        }),
+      ],
+    },
+  });
+
+  order.stockReservedOn = await reserveStock(pricedItems);
+
+  try {
+    if (coupon) await redeemCoupon(coupon, userId);
+  } catch (error) {
+    await releaseStock(pricedItems, order.stockReservedOn);
+    throw error;
+  }
+
+  try {
+    return await order.save();
+  } catch (error) {
+    if (coupon) await releaseCoupon(coupon._id, userId);
+    await releaseStock(pricedItems, order.stockReservedOn);
+    throw error;
+  }
+};
+
+/**
+ * Moves an order to a new status if the lifecycle allows it and appends the
+ * change to `statusData.history`. The update is conditional on the status we
+ * read, so two concurrent transitions cannot both succeed.
+ *
+ * `extra` is merged into the same update (e.g. the paymentId on PAID).
+ * Resolves to the updated order.
+ */
+export const transitionOrderStatus = async ({
+  order,
+  to,
+  by = null,
+  reason,
+  canManage = false,
+  extra = {},
+}) => {
+  if (!order) throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+
+  const from = order.status;
+
+  if (!Object.values(OrderStatus).includes(to)) {
+    throw new BadRequestError(`Unknown order status ${to}`, { code: 'UNKNOWN_ORDER_STATUS' });
+  }
+
+  if (!canTransition(from, to)) {
+    throw new ConflictError(`Cannot change order status from ${from} to ${to}`, {
+      code: 'INVALID_STATUS_TRANSITION',
+    });
+  }
+
+  if (!canManage && MANAGE_ONLY_FROM_STATUSES.includes(from)) {
+    throw new ForbiddenError(`Only staff can change the status of a ${from} order`, {
+      code: 'ORDER_STATUS_FORBIDDEN',
+    });
+  }
+
+  const updated = await OrderModel.findOneAndUpdate(
+    { _id: order._id, status: from },
+    {
+      $set: { ...extra, status: to },
+      $push: { 'statusData.history': createStatusChange({ from, to, by, reason }) },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ConflictError('Order status was changed by another request, please retry', {
+      code: 'ORDER_STATUS_CHANGED',
+    });
+  }
+
+  if (updated.discount && COUPON_RELEASING_STATUSES.includes(to)) {
+    await releaseCoupon(updated.discount.coupon, updated.user);
+  }
+
+  if (updated.stockReservedOn && shouldReleaseStock(from, to)) {
+    await releaseStock(updated.items, updated.stockReservedOn);
+  }
+
+  await publishOrderEvent(updated._id, OrderEventType.STATUS, {
+    from,
+    to,
+    reason,
+    at: new Date(),
+  });
+
+  return updated;
+};
+
+export const isFinalStatus = status => (OrderStatusTransitions[status] ?? []).length === 0;
+
+/**
+ * Stores the courier position of a SHIPPED order and pushes it to everyone
+ * tracking the order. Resolves to the updated order.
+ */
+export const updateCourierLocation = async (order, latLng) => {
+  if (!order) throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+
+  const { lat, lng } = parseLatLng(latLng);
+  const courierLocation = { lat, lng, at: new Date() };
+
+  const updated = await OrderModel.findOneAndUpdate(
+    { _id: order._id, status: OrderStatus.SHIPPED },
+    { $set: { courierLocation } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ConflictError('Courier location can only be set while the order is SHIPPED', {
+      code: 'ORDER_NOT_SHIPPED',
+    });
+  }
+
+  await publishOrderEvent(updated._id, OrderEventType.LOCATION, courierLocation);
+  return updated;
+};
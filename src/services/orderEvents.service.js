@@ -0,0 +1,113 @@
+import { getEventBus } from './eventBus.service.js';
+
+export const ORDER_EVENTS_CHANNEL = 'orders';
+
+export const OrderEventType = {
+  STATUS: 'status',
+  LOCATION: 'location',
+};
+
+// Kept per order for clients reconnecting with Last-Event-ID.
+const REPLAY_LIMIT = 50;
+const REPLAY_TTL_MS = 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Ids start at the current time in ms, so after a restart new ids are still
+// larger than the ones clients received from the previous process.
+let lastId = Date.now();
+
+export const nextEventId = () => {
+  lastId = Math.max(lastId + 1, Date.now());
+  return lastId;
+};
+
+const listeners = new Map();
+const buffers = new Map();
+let unsubscribe = null;
+// Events up to this id may be missing from the buffers.
+let forgottenUpTo = lastId;
+
+const remember = event => {
+  const buffer = buffers.get(event.orderId) ?? { events: [], droppedUpTo: 0 };
+  buffer.events.push(event);
+  while (buffer.events.length > REPLAY_LIMIT) buffer.droppedUpTo = buffer.events.shift().id;
+  buffers.set(event.orderId, buffer);
+};
+
+const cleanup = setInterval(() => {
+  const expiredBefore = Date.now() - REPLAY_TTL_MS;
+  for (const [orderId, buffer] of buffers) {
+    const newest = buffer.events[buffer.events.length - 1];
+    if (Date.parse(newest.at) < expiredBefore) {
+      forgottenUpTo = Math.max(forgottenUpTo, newest.id);
+      buffers.delete(orderId);
+    }
+  }
+}, CLEANUP_INTERVAL_MS);
+cleanup.unref();
+
+// One bus subscription per process, fanned out to the open streams here.
+const ensureSubscribed = () => {
+  if (unsubscribe) return;
+  forgottenUpTo = Math.max(forgottenUpTo, Date.now());
+  unsubscribe = getEventBus().subscribe(ORDER_EVENTS_CHANNEL, event => {
+    remember(event);
+    for (const listener of listeners.get(event.orderId) ?? []) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.log('Order event listener failed:', error);
+      }
+    }
+  });
+};
+
+/**
+ * Publishes `{ id, orderId, type, data, at }` to everyone tracking the order.
+ * Never throws, a failed notification must not fail the change itself.
+ */
+export const publishOrderEvent = async (orderId, type, data) => {
+  ensureSubscribed();
+  const event = {
+    id: nextEventId(),
+    orderId: String(orderId),
+    type,
+    data,
+    at: new Date().toISOString(),
+  };
+
+  try {
+    await getEventBus().publish(ORDER_EVENTS_CHANNEL, event);
+  } catch (error) {
+    console.log('Publishing order event failed:', error);
+  }
+  return event;
+};
+
+// Calls `listener(event)` for every event of the order, returns the unsubscribe function.
+export const subscribeToOrder = (orderId, listener) => {
+  ensureSubscribed();
+  const key = String(orderId);
+  const set = listeners.get(key) ?? new Set();
+  set.add(listener);
+  listeners.set(key, set);
+
+  return () => {
+    set.delete(listener);
+    if (!set.size) listeners.delete(key);
+  };
+};
+
+/**
+ * Events of the order published after `lastEventId`, or null when some of
+ * them are no longer known and the client needs a fresh snapshot.
+ */
+export const getOrderEventsSince = (orderId, lastEventId) => {
+  const since = Number(lastEventId);
+  if (!Number.isSafeInteger(since)) return null;
+
+  const buffer = buffers.get(String(orderId));
+  if (since < Math.max(forgottenUpTo, buffer?.droppedUpTo ?? 0)) return null;
+
+  return (buffer?.events ?? []).filter(event => event.id > since);
+};
@@ -0,0 +1,119 @@
+import { OrderModel } from '../models/order.model.js';
+import { OrderStatus } from '../constants/orderStatus.js';
+import { transitionOrderStatus } from './order.service.js';
+
+const MINUTE = 60 * 1000;
+// Orders loaded at once, a large backlog is expired over several queries.
+const SWEEP_BATCH_SIZE = 100;
+
+const readMinutes = (value, fallback) => {
+  const minutes = Number(value);
+  return minutes > 0 ? minutes : fallback;
+};
+
+const state = {
+  ttlMinutes: 30,
+  intervalMinutes: 5,
+  timer: null,
+  running: false,
+  lastRun: null,
+  nextRunAt: null,
+};
+
+const expireOrders = async (orders, { triggeredBy, expired, failed }) => {
+  for (const order of orders) {
+    try {
+      await transitionOrderStatus({
+        order,
+        to: OrderStatus.FAILED,
+        by: triggeredBy,
+        reason: `Not paid within ${state.ttlMinutes} minutes`,
+      });
+      expired.push(order.id);
+    } catch (error) {
+      // Usually the order was paid while the sweep was running.
+      failed.push({ id: order.id, message: error.message });
+    }
+  }
+};
+
+/**
+ * Moves every PENDING order older than the TTL to FAILED. Orders paid while
+ * the sweep runs are skipped, since the transition only applies to orders
+ * that are still PENDING.
+ */
+export const runOrderExpirySweep = async ({ triggeredBy = null } = {}) => {
+  if (state.running) return { skipped: true, reason: 'A sweep is already running' };
+
+  state.running = true;
+  const startedAt = new Date();
+  const cutoff = new Date(startedAt.getTime() - state.ttlMinutes * MINUTE);
+  const expired = [];
+  const failed = [];
+
+  try {
+    let lastId = null;
+    for (;;) {
+      // Orders that cannot be expired stay PENDING, paging by id skips them.
+      const orders = await OrderModel.find({
+        status: OrderStatus.PENDING,
+        createdAt: { $lt: cutoff },
+        ...(lastId ? { _id: { $gt: lastId } } : {}),
+      })
+        .sort('_id')
+        .limit(SWEEP_BATCH_SIZE);
+      if (!orders.length) break;
+      lastId = orders[orders.length - 1]._id;
+
+      await expireOrders(orders, { triggeredBy, expired, failed });
+    }
+  } finally {
+    state.running = false;
+  }
+
+  state.lastRun = {
+    startedAt,
+    finishedAt: new Date(),
+    triggeredBy,
+    cutoff,
+    expired,
+    failed,
+  };
+
+  return state.lastRun;
+};
+
+const scheduleNextRun = () => {
+  state.nextRunAt = new Date(Date.now() + state.intervalMinutes * MINUTE);
+  state.timer = setTimeout(async () => {
+    try {
+      await runOrderExpirySweep();
+    } catch (error) {
+      console.log('Order expiry sweep failed:', error);
+    }
+    if (state.timer) scheduleNextRun();
+  }, state.intervalMinutes * MINUTE);
+  state.timer.unref();
+};
+
+export const startOrderExpirySweeper = () => {
+  if (state.timer) return;
+  state.ttlMinutes = readMinutes(process.env.ORDER_PENDING_TTL_MINUTES, state.ttlMinutes);
+  state.intervalMinutes = readMinutes(process.env.ORDER_EXPIRY_INTERVAL_MINUTES, state.intervalMinutes);
+  scheduleNextRun();
+};
+
+export const stopOrderExpirySweeper = () => {
+  clearTimeout(state.timer);
+  state.timer = null;
+  state.nextRunAt = null;
+};
+
+export const getOrderExpiryStatus = () => ({
+  ttlMinutes: state.ttlMinutes,
+  intervalMinutes: state.intervalMinutes,
+  enabled: Boolean(state.timer),
+  running: state.running,
+  nextRunAt: state.nextRunAt,
+  lastRun: state.lastRun,
+});
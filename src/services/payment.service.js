@@ -0,0 +1,197 @@
+import bs58 from 'bs58';
+import nacl from 'tweetnacl';
+import { configSolana, LAMPORTS_PER_SOL } from '../config/solana.config.js';
+import { createSolanaRpcClient } from './solanaRpc.service.js';
+import { OrderModel } from '../models/order.model.js';
+import { OrderStatus } from '../constants/orderStatus.js';
+import { DUPLICATE_KEY_ERROR } from '../constants/mongoErrorCodes.js';
+import { BadRequestError, ConflictError, ServiceUnavailableError } from '../errors/http.error.js';
+import { transitionOrderStatus } from './order.service.js';
+
+const PUBLIC_KEY_LENGTH = 32;
+const SIGNATURE_LENGTH = 64;
+
+let rpcClient = null;
+
+export const setSolanaRpcClient = client => {
+  rpcClient = client;
+};
+
+const getRpcClient = () => {
+  if (!rpcClient) rpcClient = createSolanaRpcClient(configSolana().rpcUrl);
+  return rpcClient;
+};
+
+const decodeBase58 = (value, length) => {
+  try {
+    const bytes = bs58.decode(value);
+    return bytes.length === length ? bytes : null;
+  } catch {
+    return null;
+  }
+};
+
+const readCompactU16 = (bytes, offset) => {
+  let value = 0;
+  let size = 0;
+  for (;;) {
+    const byte = bytes[offset + size];
+    value |= (byte & 0x7f) << (size * 7);
+    size += 1;
+    if ((byte & 0x80) === 0) return { value, size };
+  }
+};
+
+/**
+ * Splits a serialized (legacy or v0) transaction into its signatures, the
+ * signed message bytes and the static account keys of that message.
+ */
+const parseTransaction = bytes => {
+  let offset = 0;
+  const signatureCount = readCompactU16(bytes, offset);
+  offset += signatureCount.size;
+
+  const signatures = [];
+  for (let i = 0; i < signatureCount.value; i++) {
+    signatures.push(bytes.subarray(offset, offset + SIGNATURE_LENGTH));
+    offset += SIGNATURE_LENGTH;
+  }
+
+  const message = bytes.subarray(offset);
+  let cursor = message[0] & 0x80 ? 1 : 0;
+  const requiredSignatures = message[cursor];
+  cursor += 3;
+
+  const keyCount = readCompactU16(message, cursor);
+  cursor += keyCount.size;
+
+  const accountKeys = [];
+  for (let i = 0; i < keyCount.value; i++) {
+    accountKeys.push(bs58.encode(message.subarray(cursor, cursor + PUBLIC_KEY_LENGTH)));
+    cursor += PUBLIC_KEY_LENGTH;
+  }
+
+  return { signatures, message, requiredSignatures, accountKeys };
+};
+
+export const toLamports = totalPrice => {
+  const { solPerUnit } = configSolana();
+  return Math.round(totalPrice * solPerUnit * LAMPORTS_PER_SOL);
+};
+
+/**
+ * Builds a Solana Pay style payment request for an order. The reference is a
+ * fresh random public key that the payer must include in the transaction, so
+ * a transaction can only ever settle the order it was created for.
+ */
+export const createPaymentRequest = order => {
+  const { recipient, solPerUnit, label } = configSolana();
+
+  if (!decodeBase58(recipient ?? '', PUBLIC_KEY_LENGTH) || !(solPerUnit > 0)) {
+    throw new ServiceUnavailableError('Solana payments are not configured', {
+      code: 'PAYMENTS_NOT_CONFIGURED',
+    });
+  }
+
+  const reference = bs58.encode(nacl.sign.keyPair().publicKey);
+  const lamports = toLamports(order.totalPrice);
+  const amount = (lamports / LAMPORTS_PER_SOL).toString();
+
+  const url = new URL(`solana:${recipient}`);
+  url.searchParams.set('amount', amount);
+  url.searchParams.set('reference', reference);
+  url.searchParams.set('label', label);
+  url.searchParams.set('memo', order.id);
+
+  return {
+    recipient,
+    amount,
+    lamports,
+    reference,
+    url: url.toString(),
+    createdAt: new Date(),
+  };
+};
+
+export const paymentAlreadyUsed = () =>
+  new ConflictError('Transaction already used for another order', { code: 'PAYMENT_ALREADY_USED' });
+
+/**
+ * Checks that `signature` identifies a confirmed transaction that was signed
+ * by its signers, references the order's payment request and moved at least
+ * the requested lamports to the recipient. Throws when any check fails.
+ */
+export const verifyPayment = async (order, signature) => {
+  const request = order.paymentRequest;
+  if (!request?.reference) {
+    throw new BadRequestError('No payment request was issued for this order', { code: 'PAYMENT_REQUEST_MISSING' });
+  }
+
+  const signatureBytes = decodeBase58(signature ?? '', SIGNATURE_LENGTH);
+  if (!signatureBytes) {
+    throw new BadRequestError('Invalid transaction signature', { code: 'INVALID_PAYMENT_SIGNATURE' });
+  }
+
+  const usedBy = await OrderModel.exists({ paymentId: signature, _id: { $ne: order._id } });
+  if (usedBy) throw paymentAlreadyUsed();
+
+  const result = await getRpcClient().getTransaction(signature);
+  if (!result?.transaction) {
+    throw new BadRequestError('Transaction not found or not confirmed yet', { code: 'PAYMENT_NOT_FOUND' });
+  }
+  if (result.meta?.err) {
+    throw new BadRequestError('Transaction failed on chain', { code: 'PAYMENT_FAILED' });
+  }
+
+  const [encoded] = result.transaction;
+  const { signatures, message, requiredSignatures, accountKeys } = parseTransaction(
+    Buffer.from(encoded, 'base64')
+  );
+
+  if (!signatures.length || bs58.encode(signatures[0]) !== signature) {
+    throw new BadRequestError('Signature does not match the transaction', { code: 'INVALID_PAYMENT_SIGNATURE' });
+  }
+
+  for (let i = 0; i < requiredSignatures; i++) {
+    const signer = decodeBase58(accountKeys[i], PUBLIC_KEY_LENGTH);
+    if (!signatures[i] || !nacl.sign.detached.verify(message, signatures[i], signer)) {
+      throw new BadRequestError('Transaction signature verification failed', { code: 'INVALID_PAYMENT_SIGNATURE' });
+    }
+  }
+
+  if (!accountKeys.includes(request.reference)) {
+    throw new BadRequestError('Transaction does not reference this order', { code: 'PAYMENT_REFERENCE_MISMATCH' });
+  }
+
+  const recipientIndex = accountKeys.indexOf(request.recipient);
+  const received = recipientIndex < 0
+    ? 0
+    : result.meta.postBalances[recipientIndex] - result.meta.preBalances[recipientIndex];
+
+  if (received < request.lamports) {
+    throw new BadRequestError('Transaction amount is lower than the order total', { code: 'PAYMENT_AMOUNT_TOO_LOW' });
+  }
+};
+
+/**
+ * Verifies `signature` for the order and marks it PAID. The check in
+ * `verifyPayment` only catches earlier uses, the unique `paymentId` also
+ * rejects a transaction sent for two orders at the same time.
+ */
+export const payOrder = async ({ order, signature, by, canManage }) => {
+  await verifyPayment(order, signature);
+
+  try {
+    return await transitionOrderStatus({
+      order,
+      to: OrderStatus.PAID,
+      by,
+      reason: 'Solana payment verified',
+      canManage,
+      extra: { paymentId: signature },
+    });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) throw paymentAlreadyUsed();
+    throw error;
+  }
+};
@@ -0,0 +1,236 @@
+import { isValidObjectId, Types } from 'mongoose';
+import { ValidationError } from '../errors/http.error.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const toList = value =>
+  (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// Parses a raw query string value, returns undefined when it is not valid.
+const parsers = {
+  number: value => {
+    const number = Number(value);
+    return value !== '' && Number.isFinite(number) ? number : undefined;
+  },
+  boolean: value => {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return undefined;
+  },
+  date: value => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  },
+  list: value => {
+    const list = toList(value);
+    return list.length ? list : undefined;
+  },
+  objectId: value => (isValidObjectId(value) ? new Types.ObjectId(String(value)) : undefined),
+  string: value => (typeof value === 'string' && value ? value : undefined),
+};
+
+/**
+ * Parses typed query string parameters, `types` maps a parameter to one of
+ * the parser names above. Missing parameters are left out.
+ */
+export const parseQuery = (query, types) => {
+  const values = {};
+  const errors = [];
+
+  for (const [param, type] of Object.entries(types)) {
+    if (query[param] === undefined) continue;
+
+    const value = parsers[type](query[param]);
+    if (value === undefined) errors.push({ param, message: `Invalid ${type} value` });
+    else values[param] = value;
+  }
+
+  return { values, errors };
+};
+
+/**
+ * Turns query string filters into a mongo filter.
+ * `spec` maps a query parameter to `{ field, type, op }`, e.g.
+ * `minPrice: { field: 'price', type: 'number', op: '$gte' }`.
+ * Without `op` the value is matched as is, `list` values use `$in`.
+ */
+export const buildFilter = (query, spec) => {
+  const types = Object.fromEntries(Object.entries(spec).map(([param, { type }]) => [param, type]));
+  const { values, errors } = parseQuery(query, types);
+  const filter = {};
+
+  for (const [param, value] of Object.entries(values)) {
+    const { field, type, op } = spec[param];
+    const operator = op ?? (type === 'list' ? '$in' : null);
+
+    if (operator) {
+      filter[field] = { ...filter[field], [operator]: value };
+    } else {
+      filter[field] = value;
+    }
+  }
+
+  return { filter, errors };
+};
+
+/**
+ * Parses `sort=-price,name` against a whitelist of fields. `_id` is always
+ * appended so that pages and cursors are stable.
+ */
+export const buildSort = (sortParam, allowedFields, defaultSort) => {
+  const errors = [];
+  const sort = {};
+
+  for (const item of toList(sortParam || defaultSort)) {
+    const direction = item.startsWith('-') ? -1 : 1;
+    const field = item.replace(/^[-+]/, '');
+
+    if (!allowedFields.includes(field)) {
+      errors.push({ param: 'sort', message: `Cannot sort by ${field}` });
+      continue;
+    }
+    sort[field] = direction;
+  }
+
+  if (!sort._id) sort._id = Object.values(sort)[0] ?? 1;
+  return { sort, errors };
+};
+
+const encodeCursor = (doc, field) => {
+  const value = doc.get ? doc.get(field) : doc[field];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: String(doc._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = cursor => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!isValidObjectId(id)) return null;
+    return { value: d ? new Date(v) : v, id: new Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+// Cursor pagination walks the first sort key with `_id` as the tie breaker.
+const cursorFilter = (cursor, sort) => {
+  const [field, direction] = Object.entries(sort)[0];
+  const op = direction === 1 ? '$gt' : '$lt';
+
+  if (field === '_id') return { _id: { [op]: cursor.id } };
+
+  return {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+const buildLink = (req, params) => {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries({ ...req.query, ...params })) {
+    if (value === undefined || value === null) continue;
+    for (const item of [].concat(value)) query.append(key, item);
+  }
+  return `${req.baseUrl}${req.path}?${query.toString()}`;
+};
+
+/**
+ * Runs a paginated `find` and wraps the result in the list envelope shared by
+ * every list endpoint:
+ * `{ data, total, page, limit, totalPages, nextCursor, links: { self, next, prev } }`.
+ *
+ * Supports `page`/`limit` or, when a `cursor` is sent, cursor pagination.
+ * `filterSpec` (see `buildFilter`) is applied on top of the fixed `filter`.
+ * Throws a ValidationError when the query parameters are invalid.
+ */
+export const findPage = async ({
+  model,
+  req,
+  filter: baseFilter = {},
+  filterSpec = {},
+  sortFields,
+  defaultSort,
+  projection,
+}) => {
+  const { filter: queryFilter, errors } = buildFilter(req.query, filterSpec);
+  const filter = { ...queryFilter, ...baseFilter };
+  const limit = req.query.limit === undefined ? DEFAULT_LIMIT : parsers.number(req.query.limit);
+  const page = req.query.page === undefined ? 1 : parsers.number(req.query.page);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push({ param: 'limit', message: `Must be an integer between 1 and ${MAX_LIMIT}` });
+  }
+  if (!Number.isInteger(page) || page < 1) {
+    errors.push({ param: 'page', message: 'Must be a positive integer' });
+  }
+
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+  if (req.query.cursor && !cursor) {
+    errors.push({ param: 'cursor', message: 'Invalid cursor' });
+  }
+
+  const { sort, errors: sortErrors } = buildSort(req.query.sort, sortFields, defaultSort);
+  errors.push(...sortErrors);
+
+  if (cursor && Object.keys(sort).length > 2) {
+    errors.push({ param: 'cursor', message: 'Cursor pagination supports a single sort field' });
+  }
+
+  if (errors.length) {
+    throw new ValidationError('Invalid query parameters', errors.map(error => ({ in: 'query', ...error })));
+  }
+
+  const total = await model.countDocuments(filter);
+  let data;
+  let nextCursor = null;
+
+  if (cursor) {
+    const [firstField] = Object.keys(sort);
+    data = await model
+      .find({ $and: [filter, cursorFilter(cursor, sort)] }, projection)
+      .sort(sort)
+      .limit(limit + 1);
+    if (data.length > limit) {
+      data = data.slice(0, limit);
+      nextCursor = encodeCursor(data[data.length - 1], firstField);
+    }
+  } else {
+    data = await model
+      .find(filter, projection)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit);
+    if (page * limit < total && data.length && Object.keys(sort).length <= 2) {
+      nextCursor = encodeCursor(data[data.length - 1], Object.keys(sort)[0]);
+    }
+  }
+
+  const totalPages = Math.ceil(total / limit);
+  const links = { self: buildLink(req, {}), next: null, prev: null };
+
+  if (cursor) {
+    if (nextCursor) links.next = buildLink(req, { cursor: nextCursor, page: undefined });
+  } else {
+    if (page < totalPages) links.next = buildLink(req, { page: page + 1 });
+    if (page > 1) links.prev = buildLink(req, { page: page - 1 });
+  }
+
+  return {
+    data,
+    total,
+    page: cursor ? null : page,
+    limit,
+    totalPages,
+    nextCursor,
+    links,
+  };
+};
@@ -0,0 +1,61 @@
+/**
+ * Counter store used by the rate limiter and the login guard. Every method
+ * resolves asynchronously so a shared store (e.g. Redis with INCR + PEXPIRE,
+ * GET, SET PX and DEL) can implement the same interface:
+ *
+ * - `increment(key, windowMs)` adds one to the counter, starting a window of
+ *   `windowMs` when the key is new, and resolves to `{ count, resetAt }`
+ * - `get(key)` resolves to `{ count, resetAt }` or null
+ * - `set(key, count, ttlMs)` overwrites the counter
+ * - `reset(key)` removes the counter
+ */
+export const createMemoryRateLimitStore = ({ cleanupIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  const read = key => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry ?? null;
+  };
+
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key);
+    }
+  }, cleanupIntervalMs);
+  cleanup.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const entry = read(key) ?? { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    async get(key) {
+      const entry = read(key);
+      return entry ? { ...entry } : null;
+    },
+    async set(key, count, ttlMs) {
+      entries.set(key, { count, resetAt: Date.now() + ttlMs });
+    },
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+let store = null;
+
+export const setRateLimitStore = value => {
+  store = value;
+};
+
+export const getRateLimitStore = () => {
+  if (!store) store = createMemoryRateLimitStore();
+  return store;
+};
@@ -0,0 +1,87 @@
+import { isValidObjectId, Types } from 'mongoose';
+import { FoodModel } from '../models/food.model.js';
+import { OrderModel } from '../models/order.model.js';
+import { ReviewModel } from '../models/review.model.js';
+import { UserModel } from '../models/user.model.js';
+import { OrderStatus } from '../constants/orderStatus.js';
+import { ForbiddenError, NotFoundError } from '../errors/http.error.js';
+import { findFoodOrThrow } from './food.service.js';
+
+const roundRating = value => Math.round(value * 100) / 100;
+
+/**
+ * Recomputes `stars` and `ratingCount` of the food from its visible reviews.
+ * Foods without any keep their last (or seeded) `stars` with a count of 0.
+ */
+export const refreshFoodRating = async foodId => {
+  const [rating] = await ReviewModel.aggregate([
+    { $match: { food: new Types.ObjectId(String(foodId)), hidden: false } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+
+  const update = rating
+    ? { stars: roundRating(rating.average), ratingCount: rating.count }
+    : { ratingCount: 0 };
+
+  await FoodModel.updateOne({ _id: foodId }, { $set: update });
+  return update;
+};
+
+// Latest DELIVERED order of the user containing the food.
+const findDeliveredOrder = (userId, foodId) =>
+  OrderModel.findOne({
+    user: userId,
+    status: OrderStatus.DELIVERED,
+    'items.food._id': foodId,
+  }).sort('-createdAt');
+
+/**
+ * Creates the user's review of the food, or updates it when there is one.
+ * Only users who received the food in a DELIVERED order may review it.
+ * A hidden review stays hidden when it is edited.
+ */
+export const saveReview = async ({ foodId, userId, rating, comment }) => {
+  const food = await findFoodOrThrow(foodId);
+
+  const order = await findDeliveredOrder(userId, food._id);
+  if (!order) {
+    throw new ForbiddenError('Only foods from your delivered orders can be reviewed', {
+      code: 'REVIEW_NOT_ALLOWED',
+    });
+  }
+
+  const user = await UserModel.findById(userId, { name: 1 });
+  const review = await ReviewModel.findOneAndUpdate(
+    { food: food._id, user: userId },
+    {
+      $set: { rating, comment, order: order._id, userName: user?.name },
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  await refreshFoodRating(food._id);
+  return review;
+};
+
+export const findReviewOrThrow = async (foodId, reviewId) => {
+  const review = isValidObjectId(foodId) && isValidObjectId(reviewId)
+    ? await ReviewModel.findOne({ _id: reviewId, food: foodId })
+    : null;
+  if (!review) throw new NotFoundError('Review not found', { code: 'REVIEW_NOT_FOUND' });
+  return review;
+};
+
+export const deleteReview = async review => {
+  await ReviewModel.deleteOne({ _id: review._id });
+  await refreshFoodRating(review.food);
+};
+
+// Hides or shows a review, `reason` is kept for other moderators.
+export const moderateReview = async (review, { hidden, reason, by }) => {
+  review.hidden = hidden;
+  review.moderation = { by, reason, at: new Date() };
+  await review.save();
+
+  await refreshFoodRating(review.food);
+  return review;
+};
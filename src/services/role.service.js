@@ -0,0 +1,19 @@
+import { RolePermissions, Roles } from '../constants/roles.js';
+
+/**
+ * Roles of a user document or a decoded token. Accounts (and tokens) from
+ * before roles existed only carry `isAdmin`.
+ */
+export const getUserRoles = user => {
+  if (user?.roles?.length) return [...user.roles];
+  return user?.isAdmin ? [Roles.ADMIN] : [Roles.CUSTOMER];
+};
+
+export const getUserPermissions = user => [
+  ...new Set(getUserRoles(user).flatMap(role => RolePermissions[role] ?? [])),
+];
+
+export const hasPermission = (user, ...permissions) => {
+  const granted = getUserPermissions(user);
+  return permissions.every(permission => granted.includes(permission));
+};
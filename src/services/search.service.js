@@ -0,0 +1,196 @@
+import { FoodModel, NOT_ARCHIVED } from '../models/food.model.js';
+
+const MAX_TERM_LENGTH = 64;
+const MAX_TOKENS = 5;
+const PRICE_BUCKETS = [0, 5, 10, 20, 50];
+
+export const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits raw user input into at most a few lowercase words. Everything that
+ * reaches a regex or a $text query goes through here first.
+ */
+export const tokenize = term =>
+  String(term ?? '')
+    .slice(0, MAX_TERM_LENGTH)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, MAX_TOKENS);
+
+/**
+ * Filter matching documents where every token starts a word in one of
+ * `fields`. Tokens are escaped, so the regexes are plain literals.
+ */
+export const buildPrefixFilter = (tokens, fields) => ({
+  $and: tokens.map(token => ({
+    $or: fields.map(field => ({
+      [field]: { $regex: `(^|\\W)${escapeRegex(token)}`, $options: 'i' },
+    })),
+  })),
+});
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const allowedTypos = token => {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+};
+
+// Catalog words a misspelled token is close enough to.
+const findCorrections = (token, vocabulary) => {
+  const maxDistance = allowedTypos(token);
+  if (!maxDistance) return [];
+
+  return vocabulary.filter(
+    word =>
+      word !== token &&
+      Math.abs(word.length - token.length) <= maxDistance &&
+      levenshtein(token, word) <= maxDistance
+  );
+};
+
+const getVocabulary = async () => {
+  const [names, tags, origins] = await Promise.all([
+    FoodModel.distinct('name', NOT_ARCHIVED),
+    FoodModel.distinct('tags', NOT_ARCHIVED),
+    FoodModel.distinct('origins', NOT_ARCHIVED),
+  ]);
+
+  return [...new Set([...names, ...tags, ...origins].flatMap(tokenize))];
+};
+
+const words = values => [].concat(values ?? []).flatMap(tokenize);
+
+// Relevance of one food for one search token (original or corrected).
+const scoreToken = (food, token, weight) => {
+  const fields = [
+    [words(food.name), 10],
+    [words(food.tags), 5],
+    [words(food.origins), 2],
+  ];
+
+  let best = 0;
+  for (const [fieldWords, fieldWeight] of fields) {
+    if (fieldWords.includes(token)) best = Math.max(best, fieldWeight);
+    else if (fieldWords.some(word => word.startsWith(token))) best = Math.max(best, fieldWeight * 0.6);
+  }
+  return best * weight;
+};
+
+const buildFacets = foods => {
+  const tagCounts = new Map();
+  for (const food of foods) {
+    for (const tag of food.tags ?? []) tagCounts.set(tag, (tagCounts.get(tag) ?? 0) + 1);
+  }
+
+  const prices = foods.map(food => food.price);
+  const buckets = PRICE_BUCKETS.map((min, index) => {
+    const max = PRICE_BUCKETS[index + 1] ?? null;
+    return {
+      min,
+      max,
+      count: prices.filter(price => price >= min && (max === null || price < max)).length,
+    };
+  });
+
+  return {
+    tags: [...tagCounts]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    price: {
+      min: prices.length ? Math.min(...prices) : null,
+      max: prices.length ? Math.max(...prices) : null,
+      buckets,
+    },
+  };
+};
+
+/**
+ * Searches foods by name, tags and origins. Combines the text index (stemmed
+ * words, weighted by field) with word-prefix matching and corrects tokens that
+ * are a typo or two away from a catalog word. Facets describe the whole
+ * result set before the `tags`/price filters are applied.
+ */
+export const searchFoods = async (term, { tags = [], minPrice, maxPrice, limit = 20 } = {}) => {
+  const tokens = tokenize(term);
+  if (!tokens.length) return { data: [], total: 0, facets: buildFacets([]) };
+
+  const vocabulary = await getVocabulary();
+  const variants = tokens.map(token => ({
+    token,
+    corrections: vocabulary.includes(token) ? [] : findCorrections(token, vocabulary),
+  }));
+  const searchWords = [...new Set(variants.flatMap(v => [v.token, ...v.corrections]))];
+
+  const [textMatches, prefixMatches] = await Promise.all([
+    FoodModel.find(
+      { ...NOT_ARCHIVED, $text: { $search: searchWords.join(' ') } },
+      { score: { $meta: 'textScore' } }
+    ),
+    FoodModel.find({
+      ...NOT_ARCHIVED,
+      $or: searchWords.map(word => buildPrefixFilter([word], ['name', 'tags', 'origins'])),
+    }),
+  ]);
+
+  const candidates = new Map();
+  for (const food of [...textMatches, ...prefixMatches]) {
+    if (!candidates.has(food.id)) candidates.set(food.id, food);
+  }
+
+  const ranked = [];
+  for (const food of candidates.values()) {
+    let score = 0;
+    let matchedAll = true;
+
+    for (const { token, corrections } of variants) {
+      const tokenScore = Math.max(
+        scoreToken(food, token, 1),
+        ...corrections.map(correction => scoreToken(food, correction, 0.5))
+      );
+      if (!tokenScore) matchedAll = false;
+      score += tokenScore;
+    }
+
+    // Foods matching every token are boosted over partial matches.
+    if (matchedAll) score *= 2;
+    score += food.get('score') ?? 0;
+
+    if (score > 0) ranked.push({ food, score });
+  }
+
+  ranked.sort((a, b) => b.score - a.score || a.food.name.localeCompare(b.food.name));
+  const facets = buildFacets(ranked.map(({ food }) => food));
+
+  const filtered = ranked.filter(
+    ({ food }) =>
+      (!tags.length || tags.some(tag => food.tags.includes(tag))) &&
+      (minPrice === undefined || food.price >= minPrice) &&
+      (maxPrice === undefined || food.price <= maxPrice)
+  );
+
+  return {
+    data: filtered.slice(0, limit).map(({ food, score }) => ({
+      ...food.toJSON(),
+      score: Math.round(score * 100) / 100,
+    })),
+    total: filtered.length,
+    facets,
+  };
+};
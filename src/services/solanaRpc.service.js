@@ -0,0 +1,27 @@
+import axios from 'axios';
+
+/**
+ * Minimal JSON-RPC client for a Solana node. Anything exposing the same
+ * `getTransaction(signature)` method can be swapped in through
+ * `setSolanaRpcClient`, e.g. a local stub in tests.
+ */
+export const createSolanaRpcClient = rpcUrl => ({
+  async getTransaction(signature) {
+    const { data } = await axios.post(rpcUrl, {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'getTransaction',
+      params: [
+        signature,
+        {
+          encoding: 'base64',
+          commitment: 'confirmed',
+          maxSupportedTransactionVersion: 0,
+        },
+      ],
+    });
+
+    if (data.error) throw new Error(data.error.message);
+    return data.result;
+  },
+});
@@ -0,0 +1,50 @@
+const DEFAULT_RETRY_MS = 5000;
+
+const getHeartbeatMs = () => Number(process.env.SSE_HEARTBEAT_MS) || 25 * 1000;
+
+/**
+ * Switches `res` to a Server-Sent Events stream. A comment line is written
+ * every heartbeat so proxies do not drop idle connections, `onHeartbeat`
+ * runs along with it. `onClose` runs once, whether the client went away or
+ * the stream was closed here.
+ */
+export const openEventStream = (req, res, { retryMs = DEFAULT_RETRY_MS, onClose, onHeartbeat } = {}) => {
+  let closed = false;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disables response buffering in nginx.
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${retryMs}\n\n`);
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    onHeartbeat?.();
+  }, getHeartbeatMs());
+
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    onClose?.();
+  };
+  req.on('close', finish);
+
+  return {
+    send({ id, event, data }) {
+      if (closed) return;
+      if (id !== undefined) res.write(`id: ${id}\n`);
+      if (event) res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      finish();
+      res.end();
+    },
+  };
+};
@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { RefreshTokenModel } from '../models/refreshToken.model.js';
+import { UserTokenModel } from '../models/userToken.model.js';
+import { getUserRoles } from './role.service.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const getRefreshTokenTtlMs = () => (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * DAY;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+export const generateAccessToken = user =>
+  jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      isAdmin: user.isAdmin,
+      roles: getUserRoles(user),
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: getAccessTokenTtl(),
+    }
+  );
+
+const createRefreshToken = async (userId, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  await RefreshTokenModel.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+  });
+
+  return { token, family };
+};
+
+export const issueTokens = async user => {
+  const { token: refreshToken } = await createRefreshToken(user.id);
+  return { token: generateAccessToken(user), refreshToken };
+};
+
+/**
+ * Exchanges a refresh token for a new one from the same family. Presenting a
+ * token that was already rotated means it leaked, so the whole family is
+ * revoked. Resolves to `{ userId, refreshToken }` or `{ error }`.
+ */
+export const rotateRefreshToken = async token => {
+  if (!token) return { error: 'Refresh token is required' };
+
+  const stored = await RefreshTokenModel.findOne({ tokenHash: hashToken(token) });
+  if (!stored) return { error: 'Invalid refresh token' };
+
+  if (stored.revokedAt) {
+    await revokeTokenFamily(stored.family);
+    return { error: 'Refresh token reuse detected, please login again' };
+  }
+
+  if (stored.expiresAt < new Date()) return { error: 'Refresh token expired' };
+
+  const next = await createRefreshToken(stored.user, stored.family);
+  const rotated = await RefreshTokenModel.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), replacedBy: hashToken(next.token) }
+  );
+
+  // Another request rotated the same token first.
+  if (!rotated) {
+    await revokeTokenFamily(stored.family);
+    return { error: 'Refresh token reuse detected, please login again' };
+  }
+
+  return { userId: stored.user, refreshToken: next.token };
+};
+
+export const revokeTokenFamily = family =>
+  RefreshTokenModel.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+
+export const revokeRefreshToken = async token => {
+  const stored = await RefreshTokenModel.findOne({ tokenHash: hashToken(token ?? '') });
+  if (stored) await revokeTokenFamily(stored.family);
+};
+
+export const revokeUserTokens = userId =>
+  RefreshTokenModel.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+
+/**
+ * Creates a single-use token for mailed links (password reset, email
+ * verification). Older unused tokens of the same type stop working.
+ */
+export const createUserToken = async (userId, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await UserTokenModel.updateMany(
+    { user: userId, type, usedAt: null },
+    { usedAt: new Date() }
+  );
+  await UserTokenModel.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+// Marks a valid token as used and resolves to its user id, or null.
+export const consumeUserToken = async (token, type) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const stored = await UserTokenModel.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() }
+  );
+
+  return stored ? stored.user : null;
+};
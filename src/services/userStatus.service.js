@@ -0,0 +1,81 @@
+import { UserModel } from '../models/user.model.js';
+
+const CACHE_TTL_MS = 30 * 1000;
+const MAX_CACHED_USERS = 10000;
+// Entries are re-inserted when refreshed, so the oldest ones come first and expire first.
+const cache = new Map();
+
+const cacheStatus = (key, status) => {
+  const now = Date.now();
+  cache.delete(key);
+  cache.set(key, { status, expiresAt: now + CACHE_TTL_MS });
+
+  for (const [oldestKey, oldest] of cache) {
+    if (oldest.expiresAt > now && cache.size <= MAX_CACHED_USERS) break;
+    cache.delete(oldestKey);
+  }
+};
+
+export const isBlockExpired = (user, now = new Date()) =>
+  Boolean(user.isBlocked && user.blockedUntil && user.blockedUntil <= now);
+
+export const isUserBlocked = (user, now = new Date()) =>
+  Boolean(user.isBlocked) && !isBlockExpired(user, now);
+
+export const unblockUser = async userId => {
+  await UserModel.updateOne(
+    { _id: userId },
+    {
+      isBlocked: false,
+      $unset: { blockReason: 1, blockedUntil: 1, blockedAt: 1, blockedBy: 1 },
+    }
+  );
+  invalidateUserStatus(userId);
+};
+
+/**
+ * Lifts a block whose expiry date has passed. Returns whether the user is
+ * still blocked afterwards.
+ */
+export const refreshBlock = async user => {
+  if (isBlockExpired(user)) {
+    await unblockUser(user._id);
+    user.isBlocked = false;
+    user.blockReason = undefined;
+    user.blockedUntil = undefined;
+    return false;
+  }
+  return isUserBlocked(user);
+};
+
+/**
+ * Fields auth checks on every request, cached for a few seconds per user.
+ * Resolves to null for users that no longer exist.
+ */
+export const getUserStatus = async userId => {
+  const key = String(userId);
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.status;
+  if (cached) cache.delete(key);
+
+  const user = await UserModel.findById(userId, {
+    tokensValidAfter: 1,
+    isBlocked: 1,
+    blockedUntil: 1,
+  });
+
+  const status = user
+    ? {
+        tokensValidAfter: user.tokensValidAfter,
+        isBlocked: await refreshBlock(user),
+        blockedUntil: user.blockedUntil,
+      }
+    : null;
+
+  cacheStatus(key, status);
+  return status;
+};
+
+export const invalidateUserStatus = userId => {
+  cache.delete(String(userId));
+};
@@ -0,0 +1,67 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Types } from 'mongoose';
+import { OrderModel } from '../src/models/order.model.js';
+import { getCustomerStats, parseAnalyticsQuery } from '../src/services/analytics.service.js';
+
+describe('analytics query', () => {
+  it('reads date-only ranges as whole UTC days', () => {
+    const { from, to } = parseAnalyticsQuery({ from: '2024-01-01', to: '2024-01-31' });
+
+    assert.equal(from.toISOString(), '2024-01-01T00:00:00.000Z');
+    assert.equal(to.toISOString(), '2024-01-31T23:59:59.999Z');
+  });
+
+  it('reads date-only ranges as days of the time zone', () => {
+    const { from, to } = parseAnalyticsQuery({
+      from: '2024-07-01',
+      to: '2024-07-01',
+      timezone: 'Europe/Berlin',
+    });
+
+    assert.equal(from.toISOString(), '2024-06-30T22:00:00.000Z');
+    assert.equal(to.toISOString(), '2024-07-01T21:59:59.999Z');
+  });
+
+  it('keeps date-times as sent', () => {
+    const { to } = parseAnalyticsQuery({ to: '2024-01-31T12:00:00Z' });
+
+    assert.equal(to.toISOString(), '2024-01-31T12:00:00.000Z');
+  });
+
+  it('accepts a date-only range of a single day', () => {
+    assert.doesNotThrow(() => parseAnalyticsQuery({ from: '2024-01-31', to: '2024-01-31' }));
+  });
+});
+
+describe('customer stats', () => {
+  const original = { aggregate: OrderModel.aggregate, distinct: OrderModel.distinct };
+
+  afterEach(() => {
+    Object.assign(OrderModel, original);
+  });
+
+  it('requires from', async () => {
+    await assert.rejects(
+      getCustomerStats({ from: null, to: null }),
+      error => error.status === 400 && error.details[0].param === 'from'
+    );
+  });
+
+  it('counts customers with paid orders before from as returning', async () => {
+    const [regular, newcomer] = [new Types.ObjectId(), new Types.ObjectId()];
+    OrderModel.aggregate = async () => [
+      { _id: regular, orders: 2, revenue: 30 },
+      { _id: newcomer, orders: 1, revenue: 10 },
+    ];
+    OrderModel.distinct = async () => [regular];
+
+    const stats = await getCustomerStats({ from: new Date('2024-01-01'), to: null });
+
+    assert.equal(stats.customers, 2);
+    assert.equal(stats.returningCustomers, 1);
+    assert.equal(stats.returningCustomerOrders, 2);
+    assert.equal(stats.newCustomerRevenue, 10);
+    assert.equal(stats.returningRate, 0.5);
+  });
+});
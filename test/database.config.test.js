@@ -0,0 +1,47 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Types } from 'mongoose';
+import { OrderModel } from '../src/models/order.model.js';
+import { buildOrderIndexes } from '../src/config/database.config.js';
+
+describe('buildOrderIndexes', () => {
+  const original = { aggregate: OrderModel.aggregate, createIndexes: OrderModel.createIndexes };
+  let duplicates;
+  let built;
+  let logged;
+
+  beforeEach(() => {
+    duplicates = [];
+    built = 0;
+    logged = mock.method(console, 'error', () => {});
+    OrderModel.aggregate = async () => duplicates;
+    OrderModel.createIndexes = async () => {
+      built += 1;
+      if (duplicates.length) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    };
+  });
+
+  afterEach(() => {
+    Object.assign(OrderModel, original);
+    logged.mock.restore();
+  });
+
+  it('builds the indexes without reporting anything when paymentIds are unique', async () => {
+    await buildOrderIndexes();
+
+    assert.equal(built, 1);
+    assert.equal(logged.mock.callCount(), 0);
+  });
+
+  it('reports the orders sharing a paymentId and still builds the other indexes', async () => {
+    const orders = [new Types.ObjectId(), new Types.ObjectId()];
+    duplicates = [{ _id: 'pay_1', orders }];
+
+    await buildOrderIndexes();
+
+    assert.equal(built, 1);
+    const messages = logged.mock.calls.map(call => call.arguments[0]);
+    assert.ok(messages.some(message => message.includes('pay_1') && message.includes(String(orders[1]))));
+    assert.ok(messages.some(message => message.includes('paymentId index is not built')));
+  });
+});
@@ -0,0 +1,66 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { Types } from 'mongoose';
+import { UserModel } from '../src/models/user.model.js';
+import optionalAuth from '../src/middleware/optionalAuth.mid.js';
+import { invalidateUserStatus } from '../src/services/userStatus.service.js';
+
+const SECRET = 'jwt-secret';
+
+// Resolves to the argument `next` was called with and the request.
+const run = headers =>
+  new Promise(resolve => {
+    const req = { headers };
+    optionalAuth(req, {}, error => resolve({ error, req }));
+  });
+
+describe('optional auth', () => {
+  const original = UserModel.findById;
+  const userId = String(new Types.ObjectId());
+  let user;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = SECRET;
+    invalidateUserStatus(userId);
+    user = { _id: userId, isBlocked: false };
+    UserModel.findById = async () => user;
+  });
+
+  afterEach(() => {
+    UserModel.findById = original;
+  });
+
+  it('lets requests without a token through anonymously', async () => {
+    const { error, req } = await run({});
+    assert.equal(error, undefined);
+    assert.equal(req.user, undefined);
+  });
+
+  it('sets the user of a valid token', async () => {
+    const { error, req } = await run({ access_token: jwt.sign({ id: userId }, SECRET) });
+    assert.equal(error, undefined);
+    assert.equal(req.user.id, userId);
+  });
+
+  it('treats an expired token as anonymous', async () => {
+    const token = jwt.sign({ id: userId, exp: Math.floor(Date.now() / 1000) - 60 }, SECRET);
+    const { error, req } = await run({ access_token: token });
+    assert.equal(error, undefined);
+    assert.equal(req.user, undefined);
+  });
+
+  it('treats a malformed token as anonymous', async () => {
+    const { error, req } = await run({ access_token: 'not-a-token' });
+    assert.equal(error, undefined);
+    assert.equal(req.user, undefined);
+  });
+
+  it('treats a revoked token as anonymous', async () => {
+    const token = jwt.sign({ id: userId, iat: Math.floor(Date.now() / 1000) - 60 }, SECRET);
+    user.tokensValidAfter = new Date();
+    const { error, req } = await run({ access_token: token });
+    assert.equal(error, undefined);
+    assert.equal(req.user, undefined);
+  });
+});
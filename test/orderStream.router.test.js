@@ -0,0 +1,105 @@
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { Types } from 'mongoose';
+import { OrderModel } from '../src/models/order.model.js';
+import { UserModel } from '../src/models/user.model.js';
+import { OrderStatus } from '../src/constants/orderStatus.js';
+import requestId from '../src/middleware/requestId.mid.js';
+import errorMid from '../src/middleware/error.mid.js';
+import orderRouter from '../src/routers/order.router.js';
+import { invalidateUserStatus } from '../src/services/userStatus.service.js';
+
+const SECRET = 'jwt-secret';
+
+const createApp = () => {
+  const app = express();
+  app.use(requestId);
+  app.use('/api/orders', orderRouter);
+  app.use(errorMid);
+  return app;
+};
+
+// Reads the stream until the server closes it and resolves to everything received.
+const readAll = async response => {
+  const decoder = new TextDecoder();
+  let text = '';
+  for await (const chunk of response.body) text += decoder.decode(chunk);
+  return text;
+};
+
+describe('order tracking stream', () => {
+  const original = { findOne: OrderModel.findOne, findById: UserModel.findById };
+  const userId = String(new Types.ObjectId());
+  const orderId = String(new Types.ObjectId());
+  let server;
+  let baseUrl;
+  let user;
+
+  const open = () =>
+    fetch(`${baseUrl}/api/orders/track/${orderId}/stream`, {
+      headers: { access_token: jwt.sign({ id: userId }, SECRET) },
+    });
+
+  before(async () => {
+    process.env.JWT_SECRET = SECRET;
+    process.env.SSE_HEARTBEAT_MS = '20';
+    server = createApp().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    delete process.env.SSE_HEARTBEAT_MS;
+    server.close();
+  });
+
+  beforeEach(() => {
+    invalidateUserStatus(userId);
+    user = { _id: userId, isBlocked: false };
+    UserModel.findById = async () => user;
+    OrderModel.findOne = async () =>
+      OrderModel.hydrate({ _id: orderId, user: userId, status: OrderStatus.PENDING });
+  });
+
+  afterEach(() => {
+    OrderModel.findOne = original.findOne;
+    UserModel.findById = original.findById;
+  });
+
+  it('keeps the stream open across heartbeats while access is still valid', async () => {
+    const response = await open();
+    assert.equal(response.status, 200);
+
+    const decoder = new TextDecoder();
+    let text = '';
+    for await (const chunk of response.body) {
+      text += decoder.decode(chunk);
+      if (text.split(': heartbeat').length > 3) break;
+    }
+    assert.match(text, /event: snapshot/);
+  });
+
+  it('closes the stream once the user is blocked', { timeout: 5000 }, async () => {
+    const response = await open();
+    assert.equal(response.status, 200);
+
+    user.isBlocked = true;
+    invalidateUserStatus(userId);
+
+    const text = await readAll(response);
+    assert.match(text, /event: snapshot/);
+  });
+
+  it('closes the stream once the tokens are revoked', { timeout: 5000 }, async () => {
+    const response = await open();
+    assert.equal(response.status, 200);
+
+    user.tokensValidAfter = new Date(Date.now() + 1000);
+    invalidateUserStatus(userId);
+
+    const text = await readAll(response);
+    assert.match(text, /event: snapshot/);
+  });
+});
@@ -0,0 +1,115 @@
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import { Types } from 'mongoose';
+import { OrderModel } from '../src/models/order.model.js';
+import { PaymentEventModel, PaymentEventOutcome } from '../src/models/paymentEvent.model.js';
+import { OrderStatus } from '../src/constants/orderStatus.js';
+import requestId from '../src/middleware/requestId.mid.js';
+import errorMid from '../src/middleware/error.mid.js';
+import paymentRouter from '../src/routers/payment.router.js';
+
+const SECRET = 'webhook-secret';
+
+const createApp = () => {
+  const app = express();
+  app.use(requestId);
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use('/api/payments', paymentRouter);
+  app.use(errorMid);
+  return app;
+};
+
+describe('payment webhook', () => {
+  const original = {
+    create: PaymentEventModel.create,
+    deleteOne: PaymentEventModel.deleteOne,
+    findById: OrderModel.findById,
+    findOneAndUpdate: OrderModel.findOneAndUpdate,
+  };
+  let server;
+  let baseUrl;
+  let records;
+  let deleted;
+  let usedPaymentIds;
+
+  const send = async event => {
+    const body = JSON.stringify(event);
+    const signature = crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+    const response = await fetch(`${baseUrl}/api/payments/webhook`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-webhook-signature': signature },
+      body,
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    process.env.PAYMENT_WEBHOOK_SECRET = SECRET;
+    server = createApp().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    records = [];
+    deleted = [];
+    // Orders by paymentId, standing in for the unique index of the orders collection.
+    usedPaymentIds = new Set();
+
+    PaymentEventModel.create = async fields => {
+      const record = new PaymentEventModel(fields);
+      record.save = async () => record;
+      records.push(record);
+      return record;
+    };
+    PaymentEventModel.deleteOne = async filter => {
+      deleted.push(filter);
+    };
+    OrderModel.findById = async id =>
+      OrderModel.hydrate({ _id: id, status: OrderStatus.PENDING, user: new Types.ObjectId() });
+    OrderModel.findOneAndUpdate = async (filter, update) => {
+      const { paymentId, status } = update.$set;
+      if (usedPaymentIds.has(paymentId)) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      usedPaymentIds.add(paymentId);
+      return OrderModel.hydrate({ _id: filter._id, status, paymentId });
+    };
+  });
+
+  afterEach(() => {
+    Object.assign(PaymentEventModel, { create: original.create, deleteOne: original.deleteOne });
+    Object.assign(OrderModel, { findById: original.findById, findOneAndUpdate: original.findOneAndUpdate });
+  });
+
+  const succeeded = (id, paymentId) => ({
+    id,
+    type: 'payment.succeeded',
+    data: { orderId: String(new Types.ObjectId()), paymentId },
+  });
+
+  it('marks the order paid and records the event', async () => {
+    const { status, body } = await send(succeeded('evt_1', 'pay_1'));
+
+    assert.equal(status, 200);
+    assert.equal(body.status, PaymentEventOutcome.PROCESSED);
+    assert.equal(records[0].outcome, PaymentEventOutcome.PROCESSED);
+  });
+
+  it('rejects a paymentId that already paid another order and keeps the audit record', async () => {
+    await send(succeeded('evt_1', 'pay_1'));
+    const { status, body } = await send(succeeded('evt_2', 'pay_1'));
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'PAYMENT_ALREADY_USED');
+    assert.deepEqual(deleted, []);
+
+    const record = records.find(candidate => candidate.eventId === 'evt_2');
+    assert.equal(record.outcome, PaymentEventOutcome.REJECTED);
+    assert.equal(record.responseStatus, 409);
+  });
+});
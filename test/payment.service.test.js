@@ -0,0 +1,170 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import bs58 from 'bs58';
+import nacl from 'tweetnacl';
+import { Types } from 'mongoose';
+import { OrderModel } from '../src/models/order.model.js';
+import { OrderStatus } from '../src/constants/orderStatus.js';
+import {
+  createPaymentRequest,
+  payOrder,
+  setSolanaRpcClient,
+  verifyPayment,
+} from '../src/services/payment.service.js';
+
+const recipient = nacl.sign.keyPair();
+const payer = nacl.sign.keyPair();
+
+// Legacy transaction moving `lamports` from the payer to the recipient, signed by the payer.
+const buildTransaction = ({ reference, lamports, signer = payer }) => {
+  const accountKeys = [payer.publicKey, recipient.publicKey, bs58.decode(reference)];
+  const message = Buffer.concat([
+    // 1 required signature, 0 read-only signed, 1 read-only unsigned account.
+    Buffer.from([1, 0, 1, accountKeys.length]),
+    ...accountKeys.map(key => Buffer.from(key)),
+    // Recent blockhash and no instructions, the service only reads the keys.
+    Buffer.alloc(32),
+    Buffer.from([0]),
+  ]);
+  const signature = nacl.sign.detached(message, signer.secretKey);
+
+  return {
+    signature: bs58.encode(signature),
+    result: {
+      transaction: [Buffer.concat([Buffer.from([1]), signature, message]).toString('base64'), 'base64'],
+      meta: { err: null, preBalances: [lamports, 0, 0], postBalances: [0, lamports, 0] },
+    },
+  };
+};
+
+// Local stand-in for the Solana node, answers with the transactions it was given.
+const createStubRpcClient = transactions => ({
+  async getTransaction(signature) {
+    return transactions.get(signature) ?? null;
+  },
+});
+
+const createOrder = () => {
+  const order = new OrderModel({
+    name: 'Customer',
+    address: 'Somewhere 1',
+    addressLatLng: { lat: '0', lng: '0' },
+    totalPrice: 12.5,
+    items: [],
+    user: new Types.ObjectId(),
+    status: OrderStatus.PENDING,
+  });
+  order.paymentRequest = createPaymentRequest(order);
+  return order;
+};
+
+const rejectsWith = (promise, status, code) =>
+  assert.rejects(promise, error => error.status === status && error.code === code);
+
+describe('payment service', () => {
+  const original = { exists: OrderModel.exists, findOneAndUpdate: OrderModel.findOneAndUpdate };
+  let transactions;
+  let paymentIds;
+
+  beforeEach(() => {
+    process.env.SOLANA_RECIPIENT_ADDRESS = bs58.encode(recipient.publicKey);
+    process.env.SOLANA_SOL_PER_UNIT = '0.01';
+
+    transactions = new Map();
+    setSolanaRpcClient(createStubRpcClient(transactions));
+
+    // Orders by paymentId, standing in for the unique index of the orders collection.
+    paymentIds = new Map();
+    OrderModel.exists = async ({ paymentId, _id }) => {
+      const orderId = paymentIds.get(paymentId);
+      return orderId && !orderId.equals(_id.$ne) ? { _id: orderId } : null;
+    };
+    OrderModel.findOneAndUpdate = async (filter, update) => {
+      const { paymentId, status } = update.$set;
+      if (paymentIds.has(paymentId)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      paymentIds.set(paymentId, filter._id);
+      return OrderModel.hydrate({ _id: filter._id, status, paymentId });
+    };
+  });
+
+  afterEach(() => {
+    Object.assign(OrderModel, original);
+    setSolanaRpcClient(null);
+  });
+
+  it('answers 503 when payments are not configured', () => {
+    delete process.env.SOLANA_RECIPIENT_ADDRESS;
+
+    assert.throws(
+      () => createPaymentRequest({ id: 'order', totalPrice: 10 }),
+      error => error.status === 503 && error.code === 'PAYMENTS_NOT_CONFIGURED'
+    );
+  });
+
+  it('accepts a signed transaction paying the order', async () => {
+    const order = createOrder();
+    const { reference, lamports } = order.paymentRequest;
+    const { signature, result } = buildTransaction({ reference, lamports });
+    transactions.set(signature, result);
+
+    await verifyPayment(order, signature);
+  });
+
+  it('rejects transactions not signed by their signer', async () => {
+    const order = createOrder();
+    const { reference, lamports } = order.paymentRequest;
+    const { signature, result } = buildTransaction({ reference, lamports, signer: nacl.sign.keyPair() });
+    transactions.set(signature, result);
+
+    await rejectsWith(verifyPayment(order, signature), 400, 'INVALID_PAYMENT_SIGNATURE');
+  });
+
+  it('rejects transactions for another payment request', async () => {
+    const order = createOrder();
+    const other = createOrder();
+    const { signature, result } = buildTransaction(other.paymentRequest);
+    transactions.set(signature, result);
+
+    await rejectsWith(verifyPayment(order, signature), 400, 'PAYMENT_REFERENCE_MISMATCH');
+  });
+
+  it('rejects transactions paying less than the order total', async () => {
+    const order = createOrder();
+    const { reference, lamports } = order.paymentRequest;
+    const { signature, result } = buildTransaction({ reference, lamports: lamports - 1 });
+    transactions.set(signature, result);
+
+    await rejectsWith(verifyPayment(order, signature), 400, 'PAYMENT_AMOUNT_TOO_LOW');
+  });
+
+  it('rejects a transaction that already paid another order', async () => {
+    const order = createOrder();
+    const { signature, result } = buildTransaction(order.paymentRequest);
+    transactions.set(signature, result);
+
+    const paid = await payOrder({ order, signature, by: order.user });
+    assert.equal(paid.status, OrderStatus.PAID);
+    assert.equal(paid.paymentId, signature);
+
+    await rejectsWith(verifyPayment(createOrder(), signature), 409, 'PAYMENT_ALREADY_USED');
+  });
+
+  it('lets only one of two orders paid at the same time claim a transaction', async () => {
+    const order = createOrder();
+    const { signature, result } = buildTransaction(order.paymentRequest);
+    transactions.set(signature, result);
+
+    // Both orders get past the check for earlier uses before either is saved.
+    const other = createOrder();
+    other.paymentRequest = order.paymentRequest;
+    const results = await Promise.allSettled([
+      payOrder({ order, signature, by: order.user }),
+      payOrder({ order: other, signature, by: other.user }),
+    ]);
+
+    assert.deepEqual(results.map(outcome => outcome.status).sort(), ['fulfilled', 'rejected']);
+    const { reason } = results.find(outcome => outcome.status === 'rejected');
+    assert.equal(reason.status, 409);
+    assert.equal(reason.code, 'PAYMENT_ALREADY_USED');
+  });
+});